@@ -1,20 +1,86 @@
-const MAX_INSTANCES = 5;
+const INSTANCE_COLORS = ['#f38ba8', '#fab387', '#f9e2af', '#a6e3a1', '#94e2d5', '#89b4fa', '#cba6f7', '#f5c2e7'];
+const STATE_LABELS = {
+  'starting': 'Démarrage',
+  'working': 'En cours',
+  'waiting-for-input': 'En attente de saisie',
+  'waiting-for-permission': 'Permission requise',
+  'idle': 'Inactive',
+  'exited': 'Terminée',
+};
+
+// Why an instance ended, as recorded in the instance history
+const END_REASONS = {
+  'closed': 'Fermée',
+  'reaped-exited': 'Retirée après sa fin',
+  'reaped-idle': 'Fermée pour inactivité',
+};
+
+// Status icons of the runs of a batch
+const BATCH_RUN_ICONS = {
+  'pending': 'fa-regular fa-clock',
+  'running': 'fa-solid fa-spinner fa-spin',
+  'succeeded': 'fa-solid fa-check',
+  'failed': 'fa-solid fa-xmark',
+  'cancelled': 'fa-solid fa-ban',
+};
+
+// Jobs: status icons and labels
+const JOB_STATUSES = {
+  'queued': { icon: 'fa-regular fa-clock', label: 'En attente' },
+  'running': { icon: 'fa-solid fa-spinner fa-spin', label: 'En cours' },
+  'succeeded': { icon: 'fa-solid fa-check', label: 'Terminé' },
+  'failed': { icon: 'fa-solid fa-xmark', label: 'Échec' },
+  'cancelled': { icon: 'fa-solid fa-ban', label: 'Annulé' },
+};
+
+// Entries of an instance's event log
+const INSTANCE_EVENTS = {
+  'created': () => 'Lancée',
+  'exited': (e) => `Terminée (code ${e.code})`,
+  'respawned': () => 'Redémarrée',
+  'restart-scheduled': (e) => `Redémarrage ${e.attempt} prévu dans ${Math.round(e.delay / 1000)} s`,
+  'restart-abandoned': (e) => `Redémarrage abandonné après ${e.attempts} tentative(s)`,
+  'restart-failed': (e) => `Échec du redémarrage : ${e.error}`,
+  'limit-reached': (e) => `Limite d'usage atteinte, reprise prévue le ${new Date(e.resumeAt).toLocaleString('fr-FR')}`,
+  'limit-resumed': () => 'Reprise après la limite d\'usage',
+  'limit-resume-failed': (e) => `Échec de la reprise automatique : ${e.error}`,
+};
 
 class App {
   constructor() {
     this.instances = new Map();
+    this.connecting = new Map();         // Instance id -> pending _connectToInstance promise
+    this.instancesLoaded = false;        // First /events snapshot received
+    this.maxInstances = null;            // Served by the server with the launch queue
+    this.launchQueue = [];               // Launches waiting for a free slot
+    this.instanceStats = new Map();      // Instance id -> { cpu, rss, processCount }
     this.activeInstanceId = null;        // Focused instance (receives keyboard input)
     this.layoutMode = 'single';          // 'single', 'split', 'quad'
     this.projects = [];
+    this.launchProfiles = [];
+    this.selectedProfileId = localStorage.getItem('launchProfileId') || '';
+    // Shown to the other people attached to the same instances
+    this.clientName = localStorage.getItem('clientName') || `Invité ${Math.floor(Math.random() * 1000)}`;
+    localStorage.setItem('clientName', this.clientName);
 
     // Tab system - slots contain tabs
     this.slots = [];                     // Array of slot objects
     this.activeSlotIndex = 0;            // Which slot has focus
     this.markdownPanels = new Map();     // Store markdown panels (like instances)
     this.configPanels = new Map();       // Store config panels
+    this.replayPanels = new Map();       // Store recording replay panels
+    this.conversationPanels = new Map(); // Store read-only views of past conversations
+    this.broadcastMode = false;          // Sidebar checkboxes and broadcast bar shown
+    this.broadcastIds = new Set();       // Instances the broadcast bar types into
+    this.batches = [];                   // Batch runs (summaries), newest first
+    this.jobs = [];                      // Headless jobs (summaries), newest first
+    this.schedules = [];                 // Cron-scheduled prompts
+    this.gitStates = new Map();          // Project path -> { isGit, branch, ahead, behind, dirty }
     this.dragState = { tabId: null, sourceSlotIndex: null };  // Drag state
     // DOM elements
     this.instancesList = document.getElementById('instances-list');
+    this.launchQueueList = document.getElementById('launch-queue-list');
+    this.instancesCount = document.getElementById('instances-count');
     this.projectsList = document.getElementById('projects-list');
     this.projectFilter = document.getElementById('project-filter');
     this.sessionValue = document.getElementById('session-value');
@@ -35,6 +101,8 @@ class App {
     this.modalCreate = document.getElementById('modal-create');
     this.cwdInput = document.getElementById('cwd-input');
     this.errorMessage = document.getElementById('error-message');
+    this.profileSelect = document.getElementById('profile-select');
+    this.projectProfileSelect = document.getElementById('project-profile-select');
 
     // Server control elements
     this.restartServerBtn = document.getElementById('restart-server-btn');
@@ -74,12 +142,17 @@ class App {
     this._bindImagePaste();
     this._bindImageDragDrop();
     this._initializeSlots();
-    this._loadInstances();
     this._loadProjects();
-    this._loadUsageStats();
+    this._loadProfiles();
 
-    // Refresh usage stats every 30 seconds
-    setInterval(() => this._loadUsageStats(), 30000);
+    // Instances, status and usage are pushed by the server
+    this._connectEvents();
+
+    // Countdowns of the resumes planned after a usage limit
+    setInterval(() => this._renderResumeCountdowns(), 30000);
+
+    // Shared link to a past conversation (?session=&cwd=)
+    this._openConversationPermalink();
   }
 
   _bindEvents() {
@@ -114,6 +187,45 @@ class App {
         if (skillsOverlay && !skillsOverlay.classList.contains('hidden')) {
           this._hideSkillsModal();
         }
+        const profilesOverlay = document.getElementById('profiles-modal-overlay');
+        if (profilesOverlay && !profilesOverlay.classList.contains('hidden')) {
+          this._hideProfilesModal();
+        }
+        const instanceEditOverlay = document.getElementById('instance-edit-modal-overlay');
+        if (instanceEditOverlay && !instanceEditOverlay.classList.contains('hidden')) {
+          this._hideInstanceEditModal();
+        }
+        const processesOverlay = document.getElementById('processes-modal-overlay');
+        if (processesOverlay && !processesOverlay.classList.contains('hidden')) {
+          this._hideProcessesModal();
+        }
+        const historyOverlay = document.getElementById('history-modal-overlay');
+        if (historyOverlay && !historyOverlay.classList.contains('hidden')) {
+          this._hideHistoryModal();
+        }
+        const jobOverlay = document.getElementById('job-modal-overlay');
+        const schedulesOverlay = document.getElementById('schedules-modal-overlay');
+        if (jobOverlay && !jobOverlay.classList.contains('hidden')) {
+          this._hideJobModal();
+        } else if (schedulesOverlay && !schedulesOverlay.classList.contains('hidden')) {
+          this._hideSchedulesModal();
+        }
+        const projectUsageOverlay = document.getElementById('project-usage-modal-overlay');
+        if (projectUsageOverlay && !projectUsageOverlay.classList.contains('hidden')) {
+          this._hideProjectUsageModal();
+        }
+        const sessionsOverlay = document.getElementById('sessions-modal-overlay');
+        if (sessionsOverlay && !sessionsOverlay.classList.contains('hidden')) {
+          this._hideSessionsModal();
+        }
+        const batchesOverlay = document.getElementById('batches-modal-overlay');
+        if (batchesOverlay && !batchesOverlay.classList.contains('hidden')) {
+          this._hideBatchesModal();
+        }
+        const recordingsOverlay = document.getElementById('recordings-modal-overlay');
+        if (recordingsOverlay && !recordingsOverlay.classList.contains('hidden')) {
+          this._hideRecordingsModal();
+        }
       }
     });
 
@@ -145,6 +257,39 @@ class App {
 
     // Skills modal events
     this._bindSkillsEvents();
+
+    // Launch profiles events
+    this._bindProfilesEvents();
+
+    // Instance label modal events
+    this._bindInstanceEditEvents();
+
+    // Recordings modal events
+    this._bindRecordingsEvents();
+
+    // Instance history modal events
+    this._bindHistoryEvents();
+
+    // Instance processes modal events
+    this._bindProcessesEvents();
+
+    // Broadcast input bar
+    this._bindBroadcastEvents();
+
+    // Batch runs modal events
+    this._bindBatchesEvents();
+
+    // Jobs section and modal
+    this._bindJobsEvents();
+
+    // Scheduled prompts modal
+    this._bindSchedulesEvents();
+
+    // Past conversations modal
+    this._bindSessionsEvents();
+
+    // Tokens per project modal
+    this._bindProjectUsageEvents();
   }
 
   _bindImagePaste() {
@@ -286,19 +431,147 @@ class App {
     }
   }
 
-  async _loadInstances() {
-    try {
-      const response = await fetch('/api/instances');
-      const data = await response.json();
+  _connectEvents() {
+    this.events = new EventStream();
 
-      for (const instance of data.instances) {
-        await this._connectToInstance(instance);
+    // Sent on every (re)connection: catch up with what happened meanwhile
+    this.events.on('instances', async (msg) => {
+      // Jobs may have changed meanwhile too
+      this._loadJobs();
+
+      const ids = new Set(msg.instances.map(i => i.id));
+      for (const id of this.instances.keys()) {
+        if (!ids.has(id)) this._removeInstance(id);
+      }
+      for (const data of msg.instances) {
+        if (this.instances.has(data.id)) {
+          this.instances.get(data.id).status = data.status;
+          this._applyInstanceState(data);
+          this._applyInstanceLabels(data);
+          this._applyPromptQueue(data.id, data.promptQueue);
+          this._applyLimitResume(data.id, data.limitResume);
+          this._applyTokenUsage(data.id, data.tokenUsage);
+        } else {
+          // Initial load opens every instance in the slots, later ones only in the list
+          await this._connectToInstance(data, { select: !this.instancesLoaded });
+        }
       }
+      this.instancesLoaded = true;
+      this._renderInstancesList();
+    });
 
+    this.events.on('instance-created', async (msg) => {
+      await this._connectToInstance(msg.instance, { select: false });
       this._renderInstancesList();
-    } catch (error) {
-      console.error('Failed to load instances:', error);
-    }
+    });
+    this.events.on('instance-updated', (msg) => this._applyInstanceLabels(msg.instance));
+    this.events.on('instance-status', (msg) => this._applyInstanceState(msg));
+    this.events.on('instance-exited', (msg) => {
+      const instance = this.instances.get(msg.id);
+      if (!instance) return;
+      instance.status = 'exited';
+      this._renderInstancesList();
+      this._updateTabStatus(msg.id);
+    });
+    this.events.on('instance-closed', (msg) => this._removeInstance(msg.id));
+
+    this.events.on('instance-respawned', (msg) => {
+      const instance = this.instances.get(msg.instance.id);
+      if (!instance) return;
+      Object.assign(instance, { status: msg.instance.status, pid: msg.instance.pid });
+      this._applyInstanceState(msg.instance);
+      this._showToast(`"${this._getInstanceLabel(instance)}" redémarrée`, 'success');
+    });
+    this.events.on('instance-restart-scheduled', (msg) => {
+      const instance = this.instances.get(msg.id);
+      if (!instance) return;
+      const time = new Date(msg.restartAt).toLocaleTimeString('fr-FR');
+      this._showToast(`"${this._getInstanceLabel(instance)}" a planté : redémarrage ${msg.attempt}/${msg.maxRetries} à ${time}`, 'error');
+    });
+    this.events.on('instance-restart-abandoned', (msg) => {
+      const instance = this.instances.get(msg.id);
+      if (!instance) return;
+      this._showToast(`"${this._getInstanceLabel(instance)}" a encore planté : redémarrage abandonné après ${msg.attempts} tentative(s)`, 'error');
+    });
+    this.events.on('instance-restart-failed', (msg) => {
+      const instance = this.instances.get(msg.id);
+      if (!instance) return;
+      this._showToast(`Redémarrage de "${this._getInstanceLabel(instance)}" impossible : ${msg.error}`, 'error');
+    });
+    this.events.on('instance-event', (msg) => {
+      if (this._editingInstanceId === msg.id) this._appendInstanceEvent(msg.event);
+    });
+
+    this.events.on('instance-reap-warning', (msg) => {
+      const time = new Date(msg.closesAt).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+      this._showToast(`"${this._getInstanceLabel(msg.instance)}" sera fermée pour inactivité à ${time} (épinglez-la pour la garder)`, 'error');
+    });
+    this.events.on('instance-reaped', (msg) => {
+      this._showToast(`"${this._getInstanceLabel(msg.instance)}" : ${END_REASONS[msg.reason].toLowerCase()}`, 'success');
+    });
+
+    this.events.on('prompt-queue', (msg) => this._applyPromptQueue(msg.id, msg.queue));
+    this.events.on('limit-resume', (msg) => this._applyLimitResume(msg.id, msg.limitResume));
+    this.events.on('token-usage', (msg) => this._applyTokenUsage(msg.id, msg.usage));
+    this.events.on('prompt-delivered', (msg) => {
+      const instance = this.instances.get(msg.id);
+      if (!instance) return;
+      this._showToast(`Prompt envoyé à "${this._getInstanceLabel(instance)}"`, 'success');
+    });
+
+    this.events.on('instance-stats', (msg) => {
+      this.instanceStats = new Map(Object.entries(msg.stats));
+      this.instancesList.querySelectorAll('.instance-item').forEach(li => this._updateStatsGauge(li));
+      if (this._processesInstanceId) this._loadProcesses();
+    });
+
+    this.events.on('launch-queue', (msg) => {
+      this.maxInstances = msg.maxInstances;
+      this.launchQueue = msg.queue;
+      this._renderLaunchQueue();
+    });
+    this.events.on('launch-started', (msg) => {
+      this._showToast(`Instance lancée depuis la file : ${this._getInstanceLabel(msg.instance)}`, 'success');
+    });
+    this.events.on('launch-failed', (msg) => {
+      this._showToast(`Lancement impossible (${msg.entry.cwd}) : ${msg.error}`, 'error');
+    });
+
+    this.events.on('batch', (msg) => this._applyBatch(msg.batch));
+    this.events.on('batch-output', (msg) => this._appendBatchOutput(msg));
+    this.events.on('job', (msg) => this._applyJob(msg.job));
+    this.events.on('job-message', (msg) => this._applyJobMessage(msg));
+    this.events.on('schedule', (msg) => this._applySchedule(msg.schedule));
+
+    this.events.on('usage', (msg) => this._renderUsageStats(msg.usage));
+
+    this.events.on('git-status', (msg) => {
+      const project = this.projects.find(p => p.path === msg.path);
+      if (!project) return;
+      project.gitSyncStatus = msg.status;
+      project.gitSyncMessage = msg.message;
+      this._updateGitIcons();
+    });
+
+    // Branch, uncommitted changes and ahead/behind, polled by the server
+    this.events.on('git-states', (msg) => {
+      this.gitStates = new Map(msg.states.map(({ path, ...state }) => [path, state]));
+      this._updateGitIcons();
+    });
+    this.events.on('git-state', (msg) => {
+      this.gitStates.set(msg.path, msg.state);
+      this._updateGitIcons();
+    });
+
+    this.events.connect();
+  }
+
+  _applyInstanceState({ id, state, stateSince }) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+    Object.assign(instance, { state, stateSince });
+    this._renderInstancesList();
+    this._updateTabStatus(id);
   }
 
   async _loadProjects() {
@@ -408,45 +681,107 @@ class App {
         icon.style.display = '';
       }
 
+      const gitState = this.gitStates.get(project.path);
+      const stateEl = document.querySelector(`.git-state[data-project-path="${CSS.escape(project.path)}"]`);
+      if (stateEl) {
+        stateEl.textContent = gitState?.isGit
+          ? [gitState.dirty ? '●' : '', gitState.ahead ? `↑${gitState.ahead}` : '', gitState.behind ? `↓${gitState.behind}` : ''].filter(Boolean).join(' ')
+          : '';
+        stateEl.title = gitState?.isGit
+          ? [gitState.branch, gitState.dirty ? 'modifications non commitées' : null, gitState.ahead ? `${gitState.ahead} commit(s) à pousser` : null, gitState.behind ? `${gitState.behind} commit(s) à tirer` : null].filter(Boolean).join(' · ')
+          : '';
+      }
+
       // Update pull button visibility
       const pullBtn = document.querySelector(`.git-pull-btn[data-project-path="${CSS.escape(project.path)}"]`);
       if (pullBtn) {
-        pullBtn.style.display = (project.gitSyncStatus && project.gitSyncStatus !== 'not-git' && project.gitSyncStatus !== 'syncing') ? '' : 'none';
+        const isGit = gitState?.isGit || (project.gitSyncStatus && project.gitSyncStatus !== 'not-git');
+        pullBtn.style.display = (isGit && project.gitSyncStatus !== 'syncing') ? '' : 'none';
       }
     });
   }
 
-  async _connectToInstance(instanceData) {
+  // Safe to call concurrently for the same instance (local creation and /events push)
+  _connectToInstance(instanceData, options = {}) {
+    if (this.instances.has(instanceData.id)) {
+      return Promise.resolve();
+    }
+    if (!this.connecting.has(instanceData.id)) {
+      const promise = this._openInstance(instanceData, options)
+        .finally(() => this.connecting.delete(instanceData.id));
+      this.connecting.set(instanceData.id, promise);
+    }
+    return this.connecting.get(instanceData.id);
+  }
+
+  async _openInstance(instanceData, { select = true } = {}) {
     // Create terminal wrapper (will be added to slot later)
     const wrapper = document.createElement('div');
     wrapper.className = 'terminal-wrapper';
     wrapper.id = `terminal-${instanceData.id}`;
 
     const terminal = new TerminalWrapper(wrapper);
-    const ws = new WebSocketManager(instanceData.id);
+    const ws = new WebSocketManager(instanceData.id, { name: this.clientName });
+
+    // Shown while another client controls the instance
+    const viewerBanner = document.createElement('div');
+    viewerBanner.className = 'viewer-banner hidden';
+    viewerBanner.innerHTML = `
+      <i class="fa-solid fa-eye"></i>
+      <span class="viewer-banner-text"></span>
+      <button class="btn btn-primary btn-sm">Prendre le contrôle</button>
+    `;
+    viewerBanner.querySelector('button').addEventListener('click', () => ws.takeControl());
+    wrapper.appendChild(viewerBanner);
+
+    // Prompts typed in whenever the instance waits for input, opened from the tab
+    const queuePanel = document.createElement('div');
+    queuePanel.className = 'prompt-queue-panel hidden';
+    queuePanel.innerHTML = `
+      <div class="prompt-queue-header">
+        <span><i class="fa-solid fa-list-ol"></i> File de prompts</span>
+        <span class="prompt-queue-status"></span>
+        <button class="btn-icon-sm prompt-queue-pause"><i class="fa-solid fa-pause"></i></button>
+        <button class="btn-icon-sm prompt-queue-close" title="Fermer"><i class="fa-solid fa-xmark"></i></button>
+      </div>
+      <ul class="prompt-queue-list"></ul>
+      <div class="prompt-queue-add">
+        <textarea rows="2" placeholder="Prompt à envoyer dès que Claude attend une saisie (Entrée pour ajouter)"></textarea>
+        <button class="btn btn-primary btn-sm" title="Ajouter"><i class="fa-solid fa-plus"></i></button>
+      </div>
+    `;
+    wrapper.appendChild(queuePanel);
 
     const instance = {
       ...instanceData,
       terminal,
       ws,
       wrapper,
-      waiting: false,
-      lastOutputTime: Date.now(),
-      outputBuffer: '',
-      waitingDebounceTimer: null,
     };
+    this._bindPromptQueuePanel(instance);
 
     try {
       await ws.connect();
 
+      // Server replays its scrollback on every (re)connection: start from a clean screen
+      ws.on('replay', (msg) => {
+        terminal.reset();
+        terminal.write(msg.data);
+      });
+
       ws.on('output', (msg) => {
         terminal.write(msg.data);
-        instance.lastOutputTime = Date.now();
+      });
 
-        // Detect if Claude is waiting for input
-        this._detectWaitingState(instance, msg.data);
+      // Working/waiting detection runs on the server
+      ws.on('state', (msg) => {
+        instance.state = msg.state;
+        this._renderInstancesList();
+        this._updateTabStatus(instance.id);
       });
 
+      ws.on('presence', (msg) => this._applyPresence(instance, msg));
+
       ws.on('exit', (msg) => {
         instance.status = 'exited';
         this._renderInstancesList();
@@ -455,18 +790,16 @@ class App {
 
       terminal.onData((data) => {
         ws.sendInput(data);
-        // User typed something, no longer waiting
-        instance.waiting = false;
-        instance.outputBuffer = ''; // Reset buffer on user input
-        this._renderInstancesList();
       });
 
+      // Only the controller sizes the PTY
       terminal.onResize(({ cols, rows }) => {
-        ws.sendResize(cols, rows);
+        if (instance.role === 'controller') ws.sendResize(cols, rows);
       });
 
       // Handle paste events (text and images)
       terminal.onPaste(async (event) => {
+        if (instance.role !== 'controller') return;
         if (event.type === 'image') {
           await this._uploadAndSendImage(event.file);
         } else if (event.type === 'text') {
@@ -477,8 +810,10 @@ class App {
       this.instances.set(instanceData.id, instance);
 
       // Add to slot and select this instance
-      const addToVisible = this.layoutMode !== 'single' && this.slots[this.activeSlotIndex]?.tabs.length > 0;
-      this._selectInstance(instanceData.id, addToVisible);
+      if (select) {
+        const addToVisible = this.layoutMode !== 'single' && this.slots[this.activeSlotIndex]?.tabs.length > 0;
+        this._selectInstance(instanceData.id, addToVisible);
+      }
 
     } catch (error) {
       console.error('Failed to connect to instance:', error);
@@ -487,128 +822,75 @@ class App {
     }
   }
 
-  _detectWaitingState(instance, output) {
-    // Accumulate output in buffer (keep last 2000 chars)
-    instance.outputBuffer += output;
-    if (instance.outputBuffer.length > 2000) {
-      instance.outputBuffer = instance.outputBuffer.slice(-2000);
-    }
-
-    // Strip ANSI escape codes for pattern matching
-    const cleanBuffer = instance.outputBuffer.replace(/\x1b\[[0-9;]*[a-zA-Z]/g, '');
-
-    // Get last few lines for analysis
-    const lines = cleanBuffer.split('\n').filter(l => l.trim());
-    const lastLines = lines.slice(-5).join('\n');
-
-    // Patterns that indicate Claude is waiting for user input
-    const waitingPatterns = [
-      /\?\s*$/m,                   // Line ends with ?
-      /\(y\/n\)/i,                 // Yes/no prompt
-      /\[Y\/n\]/i,                 // Yes/no prompt
-      /\[n\/Y\]/i,                 // Yes/no prompt (inverted)
-      /press enter/i,             // Press enter prompt
-      /waiting for/i,             // Waiting message
-      />\s*$/m,                    // Prompt ending with >
-      /\(yes\/no\)/i,             // Yes/no full words
-      /\? \[.*\]:/,               // Question with options
-      /\? ›/,                     // Inquirer-style prompt
-      /❯/,                        // Selection arrow
-      /\[ \]/,                    // Checkbox unchecked
-      /\[x\]/i,                   // Checkbox checked
-      /\(Use arrow/i,             // Arrow key instruction
-      /Select.*:/i,               // Selection prompt
-      /Choose.*:/i,               // Choice prompt
-      /Enter.*:/i,                // Enter prompt
-      /Type.*:/i,                 // Type prompt
-    ];
-
-    // Patterns that indicate Claude is working (not waiting)
-    const workingPatterns = [
-      /⠋|⠙|⠹|⠸|⠼|⠴|⠦|⠧|⠇|⠏/,    // Spinner characters
-      /\.\.\./,                   // Loading dots
-      /loading/i,
-      /processing/i,
-      /thinking/i,
-      /reading/i,
-      /writing/i,
-      /searching/i,
-    ];
-
-    const isWorking = workingPatterns.some(pattern => pattern.test(lastLines));
-    const hasWaitingPattern = waitingPatterns.some(pattern => pattern.test(lastLines));
-
-    const isWaiting = hasWaitingPattern && !isWorking;
-
-    if (isWaiting !== instance.waiting) {
-      // Clear any pending debounce timer
-      if (instance.waitingDebounceTimer) {
-        clearTimeout(instance.waitingDebounceTimer);
-        instance.waitingDebounceTimer = null;
-      }
-
-      // Debounce the waiting state change to avoid flickering
-      instance.waitingDebounceTimer = setTimeout(() => {
-        instance.waitingDebounceTimer = null;
-        if (isWaiting !== instance.waiting) {
-          instance.waiting = isWaiting;
-          this._renderInstancesList();
-          this._updateTabStatus(instance.id);
-        }
-      }, 150); // 150ms debounce
+  // CSS class of the status dot / tab indicator for an instance's server-side state
+  _getStatusClass(instance) {
+    if (instance.status === 'exited') return 'exited';
+    switch (instance.state) {
+      case 'waiting-for-input': return 'waiting';
+      case 'waiting-for-permission': return 'permission';
+      case 'idle': return 'idle';
+      case 'starting': return 'starting';
+      default: return '';
     }
   }
 
+  _isWaiting(instance) {
+    return instance.status !== 'exited'
+      && (instance.state === 'waiting-for-input' || instance.state === 'waiting-for-permission');
+  }
+
   async _loadUsageStats() {
     try {
       const response = await fetch('/api/usage');
-      const data = await response.json();
-
-      if (data.needsCookie) {
-        // Show "cookie required" state
-        this.usageContent.style.display = 'none';
-        this.usageNoCookie.classList.remove('hidden');
-        return;
-      }
+      this._renderUsageStats(await response.json());
+    } catch (error) {
+      console.error('Failed to load usage stats:', error);
+    }
+  }
 
-      if (data.error) {
-        this.sessionValue.textContent = 'N/A';
-        this.weeklyValue.textContent = 'N/A';
-        this.sessionReset.textContent = data.error;
-        this.usageContent.style.display = 'block';
-        this.usageNoCookie.classList.add('hidden');
-        return;
-      }
+  _renderUsageStats(data) {
+    if (data.needsCookie) {
+      // Show "cookie required" state
+      this.usageContent.style.display = 'none';
+      this.usageNoCookie.classList.remove('hidden');
+      return;
+    }
 
-      // Show usage content
+    if (data.error) {
+      this.sessionValue.textContent = 'N/A';
+      this.weeklyValue.textContent = 'N/A';
+      this.sessionReset.textContent = data.error;
       this.usageContent.style.display = 'block';
       this.usageNoCookie.classList.add('hidden');
+      return;
+    }
 
-      // Update session (5-hour) usage
-      if (data.fiveHour) {
-        const pct = Math.round(data.fiveHour.percentage);
-        this.sessionValue.textContent = `${pct}%`;
-        this.sessionBar.style.width = `${Math.min(pct, 100)}%`;
-        this._setBarColor(this.sessionBar, this.sessionValue, this.sessionStatus, pct, data.fiveHour.minutesUntilReset, 300);
+    // Show usage content
+    this.usageContent.style.display = 'block';
+    this.usageNoCookie.classList.add('hidden');
 
-        if (data.fiveHour.minutesUntilReset) {
-          this.sessionReset.textContent = `Reset dans ${this._formatTime(data.fiveHour.minutesUntilReset)}`;
-        }
+    // Update session (5-hour) usage
+    if (data.fiveHour) {
+      const pct = Math.round(data.fiveHour.percentage);
+      this.sessionValue.textContent = `${pct}%`;
+      this.sessionBar.style.width = `${Math.min(pct, 100)}%`;
+      this._setBarColor(this.sessionBar, this.sessionValue, this.sessionStatus, pct, data.fiveHour.minutesUntilReset, 300);
+
+      if (data.fiveHour.minutesUntilReset) {
+        this.sessionReset.textContent = `Reset dans ${this._formatTime(data.fiveHour.minutesUntilReset)}`;
       }
+    }
 
-      // Update weekly (7-day) usage
-      if (data.sevenDay) {
-        const pct = Math.round(data.sevenDay.percentage);
-        this.weeklyValue.textContent = `${pct}%`;
-        this.weeklyBar.style.width = `${Math.min(pct, 100)}%`;
-        this._setBarColor(this.weeklyBar, this.weeklyValue, this.weeklyStatus, pct, data.sevenDay.minutesUntilReset, 10080);
+    // Update weekly (7-day) usage
+    if (data.sevenDay) {
+      const pct = Math.round(data.sevenDay.percentage);
+      this.weeklyValue.textContent = `${pct}%`;
+      this.weeklyBar.style.width = `${Math.min(pct, 100)}%`;
+      this._setBarColor(this.weeklyBar, this.weeklyValue, this.weeklyStatus, pct, data.sevenDay.minutesUntilReset, 10080);
 
-        if (data.sevenDay.minutesUntilReset) {
-          this.weeklyReset.textContent = `Reset dans ${this._formatTime(data.sevenDay.minutesUntilReset)}`;
-        }
+      if (data.sevenDay.minutesUntilReset) {
+        this.weeklyReset.textContent = `Reset dans ${this._formatTime(data.sevenDay.minutesUntilReset)}`;
       }
-    } catch (error) {
-      console.error('Failed to load usage stats:', error);
     }
   }
 
@@ -845,8 +1127,7 @@ class App {
         instance.terminal.focus();
 
         // Update document title
-        const folderName = instance.cwd.split(/[/\\]/).pop() || instance.cwd;
-        document.title = `${folderName} - Claude Code UI`;
+        document.title = `${this._getInstanceLabel(instance)} - Claude Code UI`;
       }
     }
 
@@ -916,7 +1197,9 @@ class App {
   _createTabElement(slot, tabId) {
     const isMarkdown = tabId.startsWith('md-');
     const isConfig = tabId.startsWith('cfg-');
-    let name, status = '', title = '', icon = 'solid fa-terminal';
+    const isReplay = tabId.startsWith('rec-');
+    const isConversation = tabId.startsWith('conv-');
+    let name, status = '', stateTitle = '', title = '', color = null, icon = 'solid fa-terminal';
 
     if (isMarkdown) {
       const panel = this.markdownPanels.get(tabId);
@@ -928,38 +1211,60 @@ class App {
       name = panel ? panel.projectName : 'Config';
       title = panel ? panel.projectPath : '';
       icon = 'solid fa-gear';
+    } else if (isReplay) {
+      const panel = this.replayPanels.get(tabId);
+      name = panel ? panel.title : 'Enregistrement';
+      title = panel ? panel.name : '';
+      icon = 'solid fa-film';
+    } else if (isConversation) {
+      const panel = this.conversationPanels.get(tabId);
+      name = panel ? panel.title : 'Conversation';
+      title = panel ? `${panel.cwd} · ${panel.sessionId}` : '';
+      icon = 'solid fa-comments';
     } else {
       const instance = this.instances.get(tabId);
       if (!instance) return;
-      name = instance.cwd.split(/[/\\]/).pop() || instance.cwd;
-      title = instance.cwd;
-
-      if (instance.status === 'exited') {
-        status = 'exited';
-      } else if (instance.waiting) {
-        status = 'waiting';
-      }
+      name = this._getInstanceLabel(instance);
+      title = this._getInstanceTooltip(instance);
+      color = instance.color;
+      status = this._getStatusClass(instance);
+      stateTitle = STATE_LABELS[instance.state] || '';
     }
 
-    const isTerminal = !isMarkdown && !isConfig;
+    const isTerminal = !isMarkdown && !isConfig && !isReplay && !isConversation;
+    const isBroadcastTarget = isTerminal && this.broadcastMode && this.broadcastIds.has(tabId);
     const tab = document.createElement('div');
-    tab.className = 'tab';
+    tab.className = isBroadcastTarget ? 'tab broadcast-target' : 'tab';
     tab.dataset.tabId = tabId;
     tab.draggable = true;
     tab.innerHTML = `
-      ${isTerminal ? `<span class="status-indicator ${status}"></span>` : ''}
+      ${color ? `<span class="color-tag" style="background: ${color}"></span>` : ''}
+      ${isTerminal ? `<span class="status-indicator ${status}" title="${stateTitle}"></span>` : ''}
       <span class="tab-icon">
         <i class="fa-${icon}"></i>
       </span>
-      <span class="tab-name" title="${title}">${name}</span>
+      <span class="tab-name"></span>
+      ${isBroadcastTarget ? '<i class="fa-solid fa-tower-broadcast tab-broadcast" title="Cible de la diffusion"></i>' : ''}
+      ${isTerminal ? '<span class="tab-usage hidden"></span>' : ''}
+      ${isTerminal ? '<button class="tab-queue" title="File de prompts"><i class="fa-solid fa-list-ol"></i><span></span></button>' : ''}
+      ${isTerminal ? '<button class="tab-resume hidden"><i class="fa-solid fa-hourglass-half"></i><span></span></button>' : ''}
+      ${isTerminal ? '<button class="tab-presence hidden"><i class="fa-solid fa-users"></i><span></span></button>' : ''}
+      ${isTerminal ? `<button class="tab-export" title="Exporter la transcription">
+        <i class="fa-solid fa-file-export"></i>
+      </button>` : ''}
       <button class="tab-close" title="Fermer">
         <i class="fa-solid fa-xmark"></i>
       </button>
     `;
 
+    // Names and notes are user input: set as text
+    const nameEl = tab.querySelector('.tab-name');
+    nameEl.textContent = name;
+    nameEl.title = title;
+
     // Tab click to activate
     tab.addEventListener('click', (e) => {
-      if (!e.target.closest('.tab-close')) {
+      if (!e.target.closest('.tab-close') && !e.target.closest('.tab-export') && !e.target.closest('.tab-presence')) {
         const slotIdx = this._getSlotIndexForTab(tabId);
         if (slotIdx !== -1) {
           this._activateTab(slotIdx, tabId);
@@ -968,6 +1273,48 @@ class App {
       }
     });
 
+    // Export button (terminal tabs)
+    const exportBtn = tab.querySelector('.tab-export');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._showExportMenu(tabId, exportBtn);
+      });
+    }
+
+    // Tokens and estimated cost of the session (Claude tabs)
+    const usageEl = tab.querySelector('.tab-usage');
+    if (usageEl) {
+      this._renderTabUsage(usageEl, this.instances.get(tabId));
+    }
+
+    // Prompt queue button (terminal tabs); also activates the tab
+    const queueBtn = tab.querySelector('.tab-queue');
+    if (queueBtn) {
+      this._renderTabQueueButton(queueBtn, this.instances.get(tabId));
+      queueBtn.addEventListener('click', () => this._togglePromptQueuePanel(tabId));
+    }
+
+    // Countdown to the resume after a usage limit (terminal tabs); clicking cancels it
+    const resumeBtn = tab.querySelector('.tab-resume');
+    if (resumeBtn) {
+      this._renderTabResume(resumeBtn, this.instances.get(tabId));
+      resumeBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._cancelLimitResume(tabId);
+      });
+    }
+
+    // Presence badge (terminal tabs attached by several clients)
+    const presenceBtn = tab.querySelector('.tab-presence');
+    if (presenceBtn) {
+      this._renderTabPresence(presenceBtn, this.instances.get(tabId));
+      presenceBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._renameClient();
+      });
+    }
+
     // Close button
     tab.querySelector('.tab-close').addEventListener('click', (e) => {
       e.stopPropagation();
@@ -990,7 +1337,7 @@ class App {
 
     // Deactivate all tabs in this slot
     slot.tabBar.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
-    slot.content.querySelectorAll('.terminal-wrapper, .markdown-panel, .config-panel').forEach(w => {
+    slot.content.querySelectorAll('.terminal-wrapper, .markdown-panel, .config-panel, .replay-panel, .conversation-panel').forEach(w => {
       w.classList.remove('visible');
     });
 
@@ -1003,6 +1350,8 @@ class App {
     // Show the content
     const isMarkdown = tabId.startsWith('md-');
     const isConfig = tabId.startsWith('cfg-');
+    const isReplay = tabId.startsWith('rec-');
+    const isConversation = tabId.startsWith('conv-');
     if (isMarkdown) {
       const panel = this.markdownPanels.get(tabId);
       if (panel && panel.wrapper) {
@@ -1013,6 +1362,16 @@ class App {
       if (panel && panel.wrapper) {
         panel.wrapper.classList.add('visible');
       }
+    } else if (isReplay) {
+      const panel = this.replayPanels.get(tabId);
+      if (panel && panel.wrapper) {
+        panel.wrapper.classList.add('visible');
+      }
+    } else if (isConversation) {
+      const panel = this.conversationPanels.get(tabId);
+      if (panel && panel.wrapper) {
+        panel.wrapper.classList.add('visible');
+      }
     } else {
       const instance = this.instances.get(tabId);
       if (instance && instance.wrapper) {
@@ -1054,6 +1413,8 @@ class App {
 
     const isMarkdown = tabId.startsWith('md-');
     const isConfig = tabId.startsWith('cfg-');
+    const isReplay = tabId.startsWith('rec-');
+    const isConversation = tabId.startsWith('conv-');
     let wrapper;
 
     if (isMarkdown) {
@@ -1062,6 +1423,12 @@ class App {
     } else if (isConfig) {
       const panel = this.configPanels.get(tabId);
       wrapper = panel?.wrapper;
+    } else if (isReplay) {
+      const panel = this.replayPanels.get(tabId);
+      wrapper = panel?.wrapper;
+    } else if (isConversation) {
+      const panel = this.conversationPanels.get(tabId);
+      wrapper = panel?.wrapper;
     } else {
       const instance = this.instances.get(tabId);
       wrapper = instance?.wrapper;
@@ -1075,11 +1442,17 @@ class App {
   _closeTab(tabId) {
     const isMarkdown = tabId.startsWith('md-');
     const isConfig = tabId.startsWith('cfg-');
+    const isReplay = tabId.startsWith('rec-');
+    const isConversation = tabId.startsWith('conv-');
 
     if (isMarkdown) {
       this._closeMarkdownTab(tabId);
     } else if (isConfig) {
       this._closeConfigTab(tabId);
+    } else if (isReplay) {
+      this._closeReplayTab(tabId);
+    } else if (isConversation) {
+      this._closeConversationTab(tabId);
     } else {
       // Use existing close instance logic
       this._closeInstance(tabId);
@@ -1114,12 +1487,8 @@ class App {
     const indicator = tabEl.querySelector('.status-indicator');
     if (!indicator) return;
 
-    indicator.classList.remove('waiting', 'exited');
-    if (instance.status === 'exited') {
-      indicator.classList.add('exited');
-    } else if (instance.waiting) {
-      indicator.classList.add('waiting');
-    }
+    indicator.className = `status-indicator ${this._getStatusClass(instance)}`;
+    indicator.title = STATE_LABELS[instance.state] || '';
   }
 
   _rebuildSlotTabBar(slot) {
@@ -1319,6 +1688,8 @@ class App {
   }
 
   _renderInstancesList() {
+    this._updateInstancesCount();
+
     if (this.instances.size === 0) {
       this.instancesList.innerHTML = '<li class="empty-message">Aucune instance</li>';
       this.emptyState.style.display = 'block';
@@ -1341,12 +1712,7 @@ class App {
     this.instances.forEach((instance, id) => {
       const folderName = instance.cwd.split(/[/\\]/).pop() || instance.cwd;
 
-      let statusClass = '';
-      if (instance.status === 'exited') {
-        statusClass = 'exited';
-      } else if (instance.waiting) {
-        statusClass = 'waiting';
-      }
+      const statusClass = this._getStatusClass(instance);
 
       let li = existingItems.get(id);
 
@@ -1362,7 +1728,14 @@ class App {
         const statusDot = li.querySelector('.status-dot');
         if (statusDot) {
           statusDot.className = 'status-dot ' + statusClass;
+          statusDot.title = STATE_LABELS[instance.state] || '';
         }
+
+        this._updateInstanceItemLabel(li, instance);
+        this._updateRecordingButton(li, instance);
+        li.querySelector('.pin-btn').classList.toggle('pinned', Boolean(instance.pinned));
+        this._updateStatsGauge(li);
+        this._updateBroadcastCheck(li);
       } else {
         // Create new item
         li = document.createElement('li');
@@ -1384,11 +1757,35 @@ class App {
               <i class="fa-solid fa-terminal"></i>
             </button>`
           : '';
+        const forkBtn = instance.type !== 'shell'
+          ? `<button class="fork-btn" title="Dupliquer la conversation dans une nouvelle instance">
+              <i class="fa-solid fa-code-branch"></i>
+            </button>
+            <button class="sessions-btn" title="Conversations passées du projet">
+              <i class="fa-solid fa-comments"></i>
+            </button>`
+          : '';
 
         li.innerHTML = `
-          <span class="status-dot ${statusClass}"></span>
+          <input type="checkbox" class="broadcast-check" title="Cibler avec la diffusion">
+          <span class="color-tag"></span>
+          <span class="status-dot ${statusClass}" title="${STATE_LABELS[instance.state] || ''}"></span>
           ${typeIcon}
-          <span class="instance-name" title="${instance.cwd}">${folderName}</span>
+          <span class="instance-name"></span>
+          <span class="stats-gauge"><span class="stats-gauge-fill"></span></span>
+          <button class="edit-btn" title="Renommer / étiqueter">
+            <i class="fa-solid fa-pen"></i>
+          </button>
+          <button class="pin-btn ${instance.pinned ? 'pinned' : ''}" title="Épingler (jamais fermée automatiquement)">
+            <i class="fa-solid fa-thumbtack"></i>
+          </button>
+          <button class="rec-btn">
+            <i class="fa-solid fa-circle-dot"></i>
+          </button>
+          <button class="restart-btn" title="Redémarrer">
+            <i class="fa-solid fa-rotate-right"></i>
+          </button>
+          ${forkBtn}
           <button class="skills-btn" title="Gérer les skills">
             <i class="fa-solid fa-wand-magic-sparkles"></i>
           </button>
@@ -1401,14 +1798,60 @@ class App {
           </button>
         `;
 
+        this._updateInstanceItemLabel(li, instance);
+        this._updateRecordingButton(li, instance);
+        this._updateStatsGauge(li);
+        this._updateBroadcastCheck(li);
+
         li.addEventListener('click', (e) => {
-          if (!e.target.closest('.close-btn') && !e.target.closest('.md-btn') && !e.target.closest('.shell-btn') && !e.target.closest('.skills-btn')) {
+          if (!e.target.closest('.close-btn') && !e.target.closest('.md-btn') && !e.target.closest('.shell-btn') && !e.target.closest('.skills-btn') && !e.target.closest('.edit-btn') && !e.target.closest('.rec-btn') && !e.target.closest('.pin-btn') && !e.target.closest('.stats-gauge') && !e.target.closest('.restart-btn') && !e.target.closest('.fork-btn') && !e.target.closest('.sessions-btn') && !e.target.closest('.broadcast-check')) {
             // Ctrl+click adds to split view, normal click replaces
             const addToVisible = e.ctrlKey && this.layoutMode !== 'single';
             this._selectInstance(id, addToVisible);
           }
         });
 
+        li.querySelector('.broadcast-check').addEventListener('change', (e) => {
+          this._toggleBroadcastTarget(id, e.target.checked);
+        });
+
+        li.querySelector('.edit-btn').addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._showInstanceEditModal(id);
+        });
+
+        li.querySelector('.stats-gauge').addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._showProcessesModal(id);
+        });
+
+        li.querySelector('.pin-btn').addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._togglePinned(id);
+        });
+
+        li.querySelector('.rec-btn').addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._toggleRecording(id);
+        });
+
+        li.querySelector('.restart-btn').addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._restartInstance(id);
+        });
+
+        const forkBtnEl = li.querySelector('.fork-btn');
+        if (forkBtnEl) {
+          forkBtnEl.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._forkInstance(id);
+          });
+          li.querySelector('.sessions-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this._showSessionsModal(instance.cwd, folderName);
+          });
+        }
+
         li.querySelector('.skills-btn').addEventListener('click', (e) => {
           e.stopPropagation();
           this._showSkillsModal(instance.cwd, folderName);
@@ -1440,10 +1883,32 @@ class App {
     existingItems.forEach(li => li.remove());
 
     // Update favicon with instance count and waiting status
-    const hasWaiting = Array.from(this.instances.values()).some(i => i.waiting);
+    const hasWaiting = Array.from(this.instances.values()).some(i => this._isWaiting(i));
     this._updateFavicon(this.instances.size, hasWaiting);
   }
 
+  _getInstanceLabel(instance) {
+    return instance.name || instance.cwd.split(/[/\\]/).pop() || instance.cwd;
+  }
+
+  _getInstanceTooltip(instance) {
+    return instance.note ? `${instance.cwd}\n\n${instance.note}` : instance.cwd;
+  }
+
+  _updateInstanceItemLabel(li, instance) {
+    const nameEl = li.querySelector('.instance-name');
+    nameEl.textContent = this._getInstanceLabel(instance);
+    nameEl.title = this._getInstanceTooltip(instance);
+    nameEl.classList.toggle('has-note', Boolean(instance.note));
+    li.querySelector('.color-tag').style.background = instance.color || 'transparent';
+  }
+
+  _updateRecordingButton(li, instance) {
+    const recBtn = li.querySelector('.rec-btn');
+    recBtn.classList.toggle('recording', Boolean(instance.recording));
+    recBtn.title = instance.recording ? 'Arrêter l\'enregistrement' : 'Enregistrer la session';
+  }
+
   _updateFavicon(count, hasWaiting) {
     // Create dynamic SVG favicon with badge
     const badgeColor = hasWaiting ? '#f9e2af' : '#a6e3a1'; // warning yellow or green
@@ -1506,9 +1971,13 @@ class App {
         <i class="fa-solid fa-folder"></i>
         <i class="git-status-icon" data-project-path="${project.path}" style="display:none"></i>
         <span>${project.name}</span>
+        <span class="git-state" data-project-path="${project.path}"></span>
         <button class="git-pull-btn" data-project-path="${project.path}" title="Git pull" style="display:none">
           <i class="fa-solid fa-rotate"></i>
         </button>
+        <button class="sessions-btn" title="Conversations passées">
+          <i class="fa-solid fa-comments"></i>
+        </button>
         <button class="skills-btn" title="Gérer les skills">
           <i class="fa-solid fa-wand-magic-sparkles"></i>
         </button>
@@ -1522,7 +1991,7 @@ class App {
 
       // Click on project name creates instance
       li.addEventListener('click', (e) => {
-        if (!e.target.closest('.md-btn') && !e.target.closest('.shell-btn') && !e.target.closest('.skills-btn') && !e.target.closest('.git-pull-btn')) {
+        if (!e.target.closest('.md-btn') && !e.target.closest('.shell-btn') && !e.target.closest('.skills-btn') && !e.target.closest('.sessions-btn') && !e.target.closest('.git-pull-btn')) {
           this._createInstance(project.path);
         }
       });
@@ -1533,6 +2002,12 @@ class App {
         this._pullProject(project.path);
       });
 
+      // Click on sessions button lists the project's past conversations
+      li.querySelector('.sessions-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this._showSessionsModal(project.path, project.name);
+      });
+
       // Click on skills button opens skills modal
       li.querySelector('.skills-btn').addEventListener('click', (e) => {
         e.stopPropagation();
@@ -1561,6 +2036,7 @@ class App {
   _showModal() {
     this.modalOverlay.classList.remove('hidden');
     this.cwdInput.value = '';
+    this.profileSelect.value = this.selectedProfileId;
     this.errorMessage.classList.add('hidden');
     this.cwdInput.focus();
   }
@@ -1576,22 +2052,17 @@ class App {
       this._showError('Veuillez entrer un chemin');
       return;
     }
-    await this._createInstance(cwd);
+    await this._createInstance(cwd, this.profileSelect.value);
   }
 
-  async _createInstance(cwd) {
-    if (this.instances.size >= MAX_INSTANCES) {
-      this._showToast(`Maximum ${MAX_INSTANCES} instances`, 'error');
-      return;
-    }
-
+  async _createInstance(cwd, profileId = this.selectedProfileId) {
     this.modalCreate.disabled = true;
 
     try {
       const response = await fetch('/api/instances', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ cwd }),
+        body: JSON.stringify({ cwd, profileId: profileId || undefined }),
       });
 
       const data = await response.json();
@@ -1601,6 +2072,10 @@ class App {
       }
 
       this._hideModal();
+      if (data.queued) {
+        this._showQueuedToast(data.queued);
+        return;
+      }
       await this._connectToInstance(data);
       this._renderInstancesList();
       this._selectInstance(data.id);
@@ -1614,11 +2089,6 @@ class App {
   }
 
   async _createShellInstance(cwd) {
-    if (this.instances.size >= MAX_INSTANCES) {
-      this._showToast(`Maximum ${MAX_INSTANCES} instances`, 'error');
-      return;
-    }
-
     try {
       const response = await fetch('/api/shell-instances', {
         method: 'POST',
@@ -1632,6 +2102,10 @@ class App {
         throw new Error(data.error || 'Erreur de création');
       }
 
+      if (data.queued) {
+        this._showQueuedToast(data.queued);
+        return;
+      }
       await this._connectToInstance(data);
       this._renderInstancesList();
       this._selectInstance(data.id);
@@ -1642,79 +2116,628 @@ class App {
     }
   }
 
-  async _closeInstance(id) {
+  // Respawn in place: same id, so the tab and its slot stay where they are
+  async _restartInstance(id) {
     const instance = this.instances.get(id);
     if (!instance) return;
+    if (instance.status !== 'exited' && !confirm(`Redémarrer "${this._getInstanceLabel(instance)}" ?`)) return;
 
     try {
-      await fetch(`/api/instances/${id}`, { method: 'DELETE' });
+      const response = await fetch(`/api/instances/${id}/restart`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Erreur de redémarrage');
+      // The instance-respawned event refreshes the list and shows the toast
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
 
-      // Remove from slots first
-      this._removeTabFromAllSlots(id);
+  // New instance continuing the same conversation, to try another direction from there
+  async _forkInstance(id) {
+    try {
+      const response = await fetch(`/api/instances/${id}/fork`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Erreur de création');
 
-      // Clean up debounce timer
-      if (instance.waitingDebounceTimer) {
-        clearTimeout(instance.waitingDebounceTimer);
+      if (data.queued) {
+        this._showQueuedToast(data.queued);
+        return;
       }
+      await this._connectToInstance(data);
+      this._renderInstancesList();
+      this._selectInstance(data.id, this.layoutMode !== 'single');
+      this._showToast('Conversation dupliquée', 'success');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
 
-      instance.ws.close();
-      instance.terminal.dispose();
-      instance.wrapper.remove();
-      this.instances.delete(id);
+  // =============================================
+  // BROADCAST INPUT
+  // =============================================
 
-      // Update active instance if needed
-      if (this.activeInstanceId === id) {
-        this.activeInstanceId = null;
+  _bindBroadcastEvents() {
+    const input = document.getElementById('broadcast-input');
 
-        // Try to focus another tab in the same slot
-        const slot = this.slots[this.activeSlotIndex];
-        if (slot && slot.activeTabId && !slot.activeTabId.startsWith('md-')) {
-          this.activeInstanceId = slot.activeTabId;
-        }
+    document.getElementById('broadcast-btn').addEventListener('click', () => this._setBroadcastMode(!this.broadcastMode));
+    document.getElementById('broadcast-close').addEventListener('click', () => this._setBroadcastMode(false));
+    document.getElementById('broadcast-send').addEventListener('click', () => this._sendBroadcast());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this._sendBroadcast();
+      } else if (e.key === 'Escape') {
+        this._setBroadcastMode(false);
       }
+    });
+  }
 
-      this._updateEmptyState();
-      this._renderInstancesList();
-      this._showToast('Instance fermée', 'success');
+  _setBroadcastMode(enabled) {
+    this.broadcastMode = enabled;
+    document.getElementById('broadcast-btn').classList.toggle('active', enabled);
+    document.getElementById('broadcast-bar').classList.toggle('hidden', !enabled);
+    this.instancesList.classList.toggle('broadcast-mode', enabled);
 
-    } catch (error) {
-      console.error('Failed to close instance:', error);
-      this._showToast('Erreur de fermeture', 'error');
+    // Start with the instances on screen
+    if (enabled && this.broadcastIds.size === 0) {
+      this.slots.forEach((slot) => {
+        if (slot.activeTabId && this.instances.has(slot.activeTabId)) this.broadcastIds.add(slot.activeTabId);
+      });
     }
+    this._updateBroadcastTargets();
+    if (enabled) document.getElementById('broadcast-input').focus();
   }
 
-  _showError(message) {
-    this.errorMessage.textContent = message;
-    this.errorMessage.classList.remove('hidden');
+  _toggleBroadcastTarget(id, targeted) {
+    if (targeted) {
+      this.broadcastIds.add(id);
+    } else {
+      this.broadcastIds.delete(id);
+    }
+    this._updateBroadcastTargets();
   }
 
-  _showToast(message, type = 'success') {
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.textContent = message;
-    document.body.appendChild(toast);
+  // Refresh the checkboxes, the tab indicators and the target count
+  _updateBroadcastTargets() {
+    this.instancesList.querySelectorAll('.instance-item').forEach(li => this._updateBroadcastCheck(li));
+    this.slots.forEach(slot => this._rebuildSlotTabBar(slot));
 
-    setTimeout(() => {
-      toast.remove();
-    }, 3000);
+    const count = this.broadcastIds.size;
+    document.getElementById('broadcast-count').textContent = `${count} instance${count > 1 ? 's' : ''}`;
+    document.getElementById('broadcast-send').disabled = count === 0;
   }
 
-  async _showCookieModal() {
-    this.cookieModalOverlay.classList.remove('hidden');
-    this.cookieInput.value = '';
-    this.cookieErrorMessage.classList.add('hidden');
+  _updateBroadcastCheck(li) {
+    const targeted = this.broadcastIds.has(li.dataset.id);
+    li.querySelector('.broadcast-check').checked = targeted;
+    li.classList.toggle('broadcast-target', this.broadcastMode && targeted);
+  }
+
+  async _sendBroadcast() {
+    const input = document.getElementById('broadcast-input');
+    const text = input.value;
+    if (this.broadcastIds.size === 0) return;
 
-    // Load current cookie status
     try {
-      const response = await fetch('/api/cookie/status');
-      const data = await response.json();
-      if (data.hasCookie) {
-        this.cookieStatus.textContent = `Cookie actuel : ${data.cookieLength} caracteres`;
-        this.cookieStatus.classList.add('success');
-      } else {
-        this.cookieStatus.textContent = 'Aucun cookie configure';
-        this.cookieStatus.classList.remove('success');
-      }
+      const res = await fetch('/api/broadcast', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: [...this.broadcastIds], text }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+
+      input.value = '';
+      if (data.skipped.length > 0) {
+        const labels = data.skipped.map(({ id }) => {
+          const instance = this.instances.get(id);
+          return instance ? this._getInstanceLabel(instance) : id;
+        });
+        this._showToast(`Envoyé à ${data.sent.length} instance(s), ignoré : ${labels.join(', ')}`, 'error');
+      } else {
+        this._showToast(`Envoyé à ${data.sent.length} instance(s)`, 'success');
+      }
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // PROMPT QUEUE
+  // =============================================
+
+  _bindPromptQueuePanel(instance) {
+    const panel = instance.wrapper.querySelector('.prompt-queue-panel');
+    const input = panel.querySelector('.prompt-queue-add textarea');
+    const add = () => {
+      const text = input.value.trim();
+      if (!text) return;
+      input.value = '';
+      this._requestPromptQueue(instance.id, '', { method: 'POST', body: JSON.stringify({ text }) });
+    };
+
+    panel.querySelector('.prompt-queue-add button').addEventListener('click', add);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        add();
+      }
+    });
+    panel.querySelector('.prompt-queue-pause').addEventListener('click', () => {
+      const paused = !instance.promptQueue?.paused;
+      this._requestPromptQueue(instance.id, '', { method: 'PATCH', body: JSON.stringify({ paused }) });
+    });
+    panel.querySelector('.prompt-queue-close').addEventListener('click', () => panel.classList.add('hidden'));
+
+    this._renderPromptQueue(instance);
+  }
+
+  _togglePromptQueuePanel(id) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+    const panel = instance.wrapper.querySelector('.prompt-queue-panel');
+    panel.classList.toggle('hidden');
+    if (!panel.classList.contains('hidden')) panel.querySelector('textarea').focus();
+  }
+
+  // Queue pushed by the server (snapshot, change event or API response)
+  _applyPromptQueue(id, queue) {
+    const instance = this.instances.get(id);
+    if (!instance || !queue) return;
+
+    const pausedByPermission = queue.paused && !instance.promptQueue?.paused && instance.state === 'waiting-for-permission';
+    instance.promptQueue = queue;
+    this._renderPromptQueue(instance);
+
+    const slotIndex = this._getSlotIndexForTab(id);
+    if (slotIndex !== -1) {
+      const queueBtn = this.slots[slotIndex].tabBar.querySelector(`[data-tab-id="${id}"] .tab-queue`);
+      if (queueBtn) this._renderTabQueueButton(queueBtn, instance);
+    }
+    if (pausedByPermission) {
+      this._showToast(`File de prompts de "${this._getInstanceLabel(instance)}" en pause : permission requise`, 'error');
+    }
+  }
+
+  _renderTabQueueButton(button, instance) {
+    const count = instance?.promptQueue?.prompts.length || 0;
+    button.classList.toggle('has-items', count > 0);
+    button.classList.toggle('paused', Boolean(instance?.promptQueue?.paused));
+    button.querySelector('span').textContent = count || '';
+  }
+
+  _renderPromptQueue(instance) {
+    const { paused, prompts } = instance.promptQueue || { paused: false, prompts: [] };
+    const panel = instance.wrapper.querySelector('.prompt-queue-panel');
+    const list = panel.querySelector('.prompt-queue-list');
+
+    const pauseBtn = panel.querySelector('.prompt-queue-pause');
+    pauseBtn.title = paused ? 'Reprendre' : 'Mettre en pause';
+    pauseBtn.innerHTML = `<i class="fa-solid ${paused ? 'fa-play' : 'fa-pause'}"></i>`;
+    panel.querySelector('.prompt-queue-status').textContent = paused ? 'En pause' : '';
+
+    list.innerHTML = '';
+    if (prompts.length === 0) {
+      list.innerHTML = '<li class="prompt-queue-empty">Aucun prompt en attente</li>';
+      return;
+    }
+
+    prompts.forEach((prompt, index) => {
+      const li = document.createElement('li');
+      li.className = 'prompt-queue-item';
+      li.innerHTML = `
+        <span class="prompt-queue-text"></span>
+        <button class="btn-icon-sm" data-action="up" title="Monter" ${index === 0 ? 'disabled' : ''}><i class="fa-solid fa-arrow-up"></i></button>
+        <button class="btn-icon-sm" data-action="down" title="Descendre" ${index === prompts.length - 1 ? 'disabled' : ''}><i class="fa-solid fa-arrow-down"></i></button>
+        <button class="btn-icon-sm" data-action="edit" title="Modifier"><i class="fa-solid fa-pen"></i></button>
+        <button class="btn-icon-sm" data-action="delete" title="Retirer"><i class="fa-solid fa-trash"></i></button>
+      `;
+      const textEl = li.querySelector('.prompt-queue-text');
+      textEl.textContent = prompt.text;
+      textEl.title = prompt.text;
+
+      const path = `/${prompt.id}`;
+      li.querySelector('[data-action="up"]').addEventListener('click', () => {
+        this._requestPromptQueue(instance.id, path, { method: 'PATCH', body: JSON.stringify({ position: index - 1 }) });
+      });
+      li.querySelector('[data-action="down"]').addEventListener('click', () => {
+        this._requestPromptQueue(instance.id, path, { method: 'PATCH', body: JSON.stringify({ position: index + 1 }) });
+      });
+      li.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        this._requestPromptQueue(instance.id, path, { method: 'DELETE' });
+      });
+      li.querySelector('[data-action="edit"]').addEventListener('click', () => this._editQueuedPrompt(instance, li, prompt));
+
+      list.appendChild(li);
+    });
+  }
+
+  // Swap the prompt's text for a textarea: Enter saves, Escape cancels
+  _editQueuedPrompt(instance, li, prompt) {
+    const textarea = document.createElement('textarea');
+    textarea.className = 'prompt-queue-edit';
+    textarea.value = prompt.text;
+    li.querySelector('.prompt-queue-text').replaceWith(textarea);
+    textarea.focus();
+
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      const text = textarea.value.trim();
+      if (save && text && text !== prompt.text) {
+        this._requestPromptQueue(instance.id, `/${prompt.id}`, { method: 'PATCH', body: JSON.stringify({ text }) });
+      } else {
+        this._renderPromptQueue(instance);
+      }
+    };
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        finish(false);
+      }
+    });
+    textarea.addEventListener('blur', () => finish(true));
+  }
+
+  async _requestPromptQueue(id, path, options) {
+    try {
+      const res = await fetch(`/api/instances/${id}/prompt-queue${path}`, {
+        headers: { 'Content-Type': 'application/json' },
+        ...options,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this._applyPromptQueue(id, data.queue || data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // LIMIT RESUME
+  // =============================================
+
+  // Setting pushed by the server (snapshot, change event or API response)
+  _applyLimitResume(id, limitResume) {
+    const instance = this.instances.get(id);
+    if (!instance || !limitResume) return;
+
+    const planned = limitResume.pending && !instance.limitResume?.pending;
+    instance.limitResume = limitResume;
+    this._renderTabResumeFor(id);
+
+    if (planned) {
+      const time = new Date(limitResume.pending.resumeAt).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+      this._showToast(`"${this._getInstanceLabel(instance)}" a atteint la limite d'usage : reprise prévue à ${time}`, 'success');
+    }
+  }
+
+  _renderTabResumeFor(id) {
+    const slotIndex = this._getSlotIndexForTab(id);
+    if (slotIndex === -1) return;
+    const button = this.slots[slotIndex].tabBar.querySelector(`[data-tab-id="${id}"] .tab-resume`);
+    if (button) this._renderTabResume(button, this.instances.get(id));
+  }
+
+  _renderTabResume(button, instance) {
+    const pending = instance?.limitResume?.pending;
+    button.classList.toggle('hidden', !pending);
+    if (!pending) return;
+
+    const minutes = Math.max(0, Math.ceil((new Date(pending.resumeAt) - Date.now()) / 60000));
+    const time = new Date(pending.resumeAt).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+    button.querySelector('span').textContent = this._formatTime(minutes);
+    button.title = `Reprise automatique à ${time} (cliquer pour annuler)`;
+  }
+
+  _renderResumeCountdowns() {
+    for (const [id, instance] of this.instances) {
+      if (instance.limitResume?.pending) this._renderTabResumeFor(id);
+    }
+  }
+
+  async _cancelLimitResume(id) {
+    const instance = this.instances.get(id);
+    if (!instance || !confirm(`Annuler la reprise automatique de "${this._getInstanceLabel(instance)}" ?`)) return;
+
+    try {
+      const res = await fetch(`/api/instances/${id}/limit-resume/pending`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this._applyLimitResume(id, data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // TOKEN USAGE
+  // =============================================
+
+  // Session totals pushed by the server (snapshot or change event)
+  _applyTokenUsage(id, usage) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+
+    instance.tokenUsage = usage;
+    const slotIndex = this._getSlotIndexForTab(id);
+    if (slotIndex === -1) return;
+    const usageEl = this.slots[slotIndex].tabBar.querySelector(`[data-tab-id="${id}"] .tab-usage`);
+    if (usageEl) this._renderTabUsage(usageEl, instance);
+  }
+
+  _renderTabUsage(el, instance) {
+    const usage = instance?.tokenUsage;
+    el.classList.toggle('hidden', !usage);
+    if (!usage) return;
+
+    el.textContent = this._formatCost(usage.costUsd);
+    el.title = [
+      `Entrée : ${usage.inputTokens.toLocaleString('fr-FR')} tokens`,
+      `Sortie : ${usage.outputTokens.toLocaleString('fr-FR')} tokens`,
+      `Cache lu : ${usage.cacheReadTokens.toLocaleString('fr-FR')} tokens`,
+      `Cache écrit : ${usage.cacheWriteTokens.toLocaleString('fr-FR')} tokens`,
+      `Coût estimé : ${this._formatCost(usage.costUsd)}`,
+    ].join('\n');
+  }
+
+  _bindProjectUsageEvents() {
+    const overlay = document.getElementById('project-usage-modal-overlay');
+
+    document.getElementById('project-usage-btn').addEventListener('click', () => this._showProjectUsageModal());
+    document.getElementById('project-usage-modal-close').addEventListener('click', () => this._hideProjectUsageModal());
+    document.getElementById('project-usage-modal-close-btn').addEventListener('click', () => this._hideProjectUsageModal());
+    document.getElementById('project-usage-days').addEventListener('change', () => this._loadProjectUsage());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideProjectUsageModal();
+    });
+  }
+
+  _showProjectUsageModal() {
+    document.getElementById('project-usage-modal-overlay').classList.remove('hidden');
+    this._loadProjectUsage();
+  }
+
+  _hideProjectUsageModal() {
+    document.getElementById('project-usage-modal-overlay').classList.add('hidden');
+  }
+
+  async _loadProjectUsage() {
+    const days = document.getElementById('project-usage-days').value;
+    const rows = document.getElementById('project-usage-rows');
+    rows.innerHTML = '<tr><td colspan="6" class="recordings-empty">Chargement...</td></tr>';
+
+    try {
+      const res = await fetch(`/api/usage/projects?days=${days}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this._renderProjectUsage(data.projects);
+    } catch (error) {
+      rows.innerHTML = '';
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // One row per project; clicking it shows its days
+  _renderProjectUsage(projects) {
+    const rows = document.getElementById('project-usage-rows');
+    rows.innerHTML = '';
+
+    if (projects.length === 0) {
+      rows.innerHTML = '<tr><td colspan="6" class="recordings-empty">Aucun usage sur la période</td></tr>';
+      return;
+    }
+
+    const createRow = (label, totals, className) => {
+      const tr = document.createElement('tr');
+      tr.className = className;
+      [label, ...['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens'].map(key => this._formatTokens(totals[key])), this._formatCost(totals.costUsd)]
+        .forEach((text) => {
+          const td = document.createElement('td');
+          td.textContent = text;
+          tr.appendChild(td);
+        });
+      rows.appendChild(tr);
+      return tr;
+    };
+
+    projects.forEach((project) => {
+      const projectRow = createRow(project.name, project.total, 'project-usage-project');
+      projectRow.title = project.cwd;
+      const dayRows = project.days.map(day => createRow(new Date(`${day.date}T00:00`).toLocaleDateString('fr-FR'), day, 'project-usage-day hidden'));
+      projectRow.addEventListener('click', () => {
+        const expanded = projectRow.classList.toggle('expanded');
+        dayRows.forEach(tr => tr.classList.toggle('hidden', !expanded));
+      });
+    });
+  }
+
+  _formatTokens(count) {
+    return new Intl.NumberFormat('fr-FR', { notation: 'compact', maximumFractionDigits: 1 }).format(count);
+  }
+
+  // =============================================
+  // SHARED SESSIONS
+  // =============================================
+
+  // This client's role on an instance (controller or viewer) and who else is attached
+  _applyPresence(instance, { clientId, role, clients }) {
+    const wasController = instance.role === 'controller';
+    Object.assign(instance, { clientId, role, presence: clients });
+    instance.terminal.setReadOnly(role !== 'controller');
+
+    // The PTY still has the previous controller's size
+    if (role === 'controller' && !wasController) {
+      instance.ws.sendResize(instance.terminal.cols, instance.terminal.rows);
+    }
+
+    const controller = clients.find(c => c.role === 'controller');
+    const banner = instance.wrapper.querySelector('.viewer-banner');
+    banner.classList.toggle('hidden', role === 'controller');
+    banner.querySelector('.viewer-banner-text').textContent = controller
+      ? `Lecture seule : ${controller.name} contrôle cette instance`
+      : 'Lecture seule';
+
+    const slotIndex = this._getSlotIndexForTab(instance.id);
+    if (slotIndex === -1) return;
+    const presenceBtn = this.slots[slotIndex].tabBar.querySelector(`[data-tab-id="${instance.id}"] .tab-presence`);
+    if (presenceBtn) this._renderTabPresence(presenceBtn, instance);
+  }
+
+  _renderTabPresence(button, instance) {
+    const clients = instance?.presence || [];
+    button.classList.toggle('hidden', clients.length < 2);
+    button.querySelector('span').textContent = clients.length;
+    button.title = clients.map((c) => {
+      const tags = [c.role === 'controller' ? 'contrôle' : null, c.id === instance.clientId ? 'vous' : null].filter(Boolean);
+      return tags.length ? `${c.name} (${tags.join(', ')})` : c.name;
+    }).join('\n') + '\n\nCliquer pour changer votre nom';
+  }
+
+  _renameClient() {
+    const name = prompt('Votre nom, affiché aux autres personnes connectées :', this.clientName)?.trim();
+    if (!name) return;
+
+    this.clientName = name;
+    localStorage.setItem('clientName', name);
+    this.instances.forEach(instance => instance.ws.rename(name));
+  }
+
+  // =============================================
+  // LAUNCH QUEUE
+  // =============================================
+
+  _showQueuedToast(entry) {
+    this._showToast(`Limite de ${this.maxInstances} instances atteinte : lancement en file d'attente (position ${entry.position})`, 'success');
+  }
+
+  // Running instances out of the server's limit, in the Instances header
+  _updateInstancesCount() {
+    const running = Array.from(this.instances.values()).filter(i => i.status !== 'exited').length;
+    this.instancesCount.textContent = this.maxInstances ? `${running}/${this.maxInstances}` : '';
+  }
+
+  _renderLaunchQueue() {
+    this._updateInstancesCount();
+
+    this.launchQueueList.innerHTML = '';
+    this.launchQueue.forEach((entry) => {
+      const folderName = entry.cwd.split(/[/\\]/).pop() || entry.cwd;
+      const li = document.createElement('li');
+      li.className = 'queued-item';
+      li.title = entry.cwd;
+      li.innerHTML = `
+        <i class="fa-solid fa-hourglass-half queued-icon"></i>
+        <span class="queued-name"></span>
+        <span class="queued-meta"></span>
+        <button class="close-btn" title="Annuler le lancement">
+          <i class="fa-solid fa-xmark"></i>
+        </button>
+      `;
+      li.querySelector('.queued-name').textContent = entry.type === 'shell' ? `${folderName} (terminal)` : folderName;
+      li.querySelector('.queued-meta').textContent = this._formatQueueMeta(entry);
+      li.querySelector('.close-btn').addEventListener('click', () => this._cancelQueuedLaunch(entry.id));
+      this.launchQueueList.appendChild(li);
+    });
+  }
+
+  // "#2 · ~15m": position, and the estimated wait when the server has one
+  _formatQueueMeta(entry) {
+    if (!entry.eta) return `#${entry.position}`;
+    const minutes = Math.max(1, Math.round((new Date(entry.eta) - Date.now()) / 60000));
+    return `#${entry.position} · ~${this._formatTime(minutes)}`;
+  }
+
+  async _cancelQueuedLaunch(id) {
+    try {
+      const res = await fetch(`/api/launch-queue/${id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      this._showToast('Lancement annulé', 'success');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _closeInstance(id) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+
+    try {
+      await fetch(`/api/instances/${id}`, { method: 'DELETE' });
+      this._removeInstance(id);
+      this._showToast('Instance fermée', 'success');
+
+    } catch (error) {
+      console.error('Failed to close instance:', error);
+      this._showToast('Erreur de fermeture', 'error');
+    }
+  }
+
+  // Tear down the UI of an instance closed here or elsewhere
+  _removeInstance(id) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+
+    // Remove from slots first
+    this._removeTabFromAllSlots(id);
+
+    instance.ws.close();
+    instance.terminal.dispose();
+    instance.wrapper.remove();
+    this.instances.delete(id);
+    if (this.broadcastIds.delete(id)) this._updateBroadcastTargets();
+
+    // Update active instance if needed
+    if (this.activeInstanceId === id) {
+      this.activeInstanceId = null;
+
+      // Try to focus another tab in the same slot
+      const slot = this.slots[this.activeSlotIndex];
+      if (slot && slot.activeTabId && !slot.activeTabId.startsWith('md-')) {
+        this.activeInstanceId = slot.activeTabId;
+      }
+    }
+
+    this._updateEmptyState();
+    this._renderInstancesList();
+  }
+
+  _showError(message) {
+    this.errorMessage.textContent = message;
+    this.errorMessage.classList.remove('hidden');
+  }
+
+  _showToast(message, type = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    setTimeout(() => {
+      toast.remove();
+    }, 3000);
+  }
+
+  async _showCookieModal() {
+    this.cookieModalOverlay.classList.remove('hidden');
+    this.cookieInput.value = '';
+    this.cookieErrorMessage.classList.add('hidden');
+
+    // Load current cookie status
+    try {
+      const response = await fetch('/api/cookie/status');
+      const data = await response.json();
+      if (data.hasCookie) {
+        this.cookieStatus.textContent = `Cookie actuel : ${data.cookieLength} caracteres`;
+        this.cookieStatus.classList.add('success');
+      } else {
+        this.cookieStatus.textContent = 'Aucun cookie configure';
+        this.cookieStatus.classList.remove('success');
+      }
     } catch (error) {
       this.cookieStatus.textContent = '';
     }
@@ -3111,7 +4134,7 @@ class App {
   }
 
   async _restartServer() {
-    if (!confirm('Redémarrer le serveur ? Toutes les instances seront fermées.')) {
+    if (!confirm('Redémarrer le serveur web ? Les instances continuent de tourner.')) {
       return;
     }
 
@@ -3134,7 +4157,7 @@ class App {
   }
 
   async _shutdownServer() {
-    if (!confirm('Arrêter le serveur ? Toutes les instances seront fermées.')) {
+    if (!confirm('Arrêter le serveur ? Les instances Claude seront relancées au prochain démarrage.')) {
       return;
     }
 
@@ -3536,6 +4559,2052 @@ class App {
       await this._deleteSkill(category, name);
     }
   }
+
+  // =============================================
+  // INSTANCE LABELS
+  // =============================================
+
+  _bindInstanceEditEvents() {
+    const overlay = document.getElementById('instance-edit-modal-overlay');
+
+    document.getElementById('instance-edit-close').addEventListener('click', () => this._hideInstanceEditModal());
+    document.getElementById('instance-edit-cancel').addEventListener('click', () => this._hideInstanceEditModal());
+    document.getElementById('instance-edit-save').addEventListener('click', () => this._saveInstanceLabels());
+    document.getElementById('instance-edit-name').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this._saveInstanceLabels();
+    });
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideInstanceEditModal();
+    });
+
+    // Color swatches: "none" first, then the palette
+    const swatches = document.getElementById('instance-edit-colors');
+    [null, ...INSTANCE_COLORS].forEach((color) => {
+      const swatch = document.createElement('button');
+      swatch.className = 'color-swatch';
+      swatch.dataset.color = color || '';
+      if (color) {
+        swatch.style.background = color;
+      } else {
+        swatch.title = 'Aucune';
+        swatch.innerHTML = '<i class="fa-solid fa-ban"></i>';
+      }
+      swatch.addEventListener('click', () => this._selectInstanceColor(color));
+      swatches.appendChild(swatch);
+    });
+
+    document.getElementById('instance-edit-restart').addEventListener('change', (e) => {
+      document.getElementById('instance-edit-restart-options').classList.toggle('hidden', e.target.value === 'never');
+    });
+    document.getElementById('instance-edit-limit-resume').addEventListener('change', (e) => {
+      document.getElementById('instance-edit-limit-prompt').classList.toggle('hidden', !e.target.checked);
+    });
+  }
+
+  _showInstanceEditModal(id) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+
+    this._editingInstanceId = id;
+    const nameInput = document.getElementById('instance-edit-name');
+    nameInput.value = instance.name || '';
+    nameInput.placeholder = instance.cwd.split(/[/\\]/).pop() || instance.cwd;
+    document.getElementById('instance-edit-note').value = instance.note || '';
+    this._selectInstanceColor(instance.color || null);
+
+    const policy = instance.restartPolicy;
+    document.getElementById('instance-edit-restart').value = policy?.mode || 'never';
+    document.getElementById('instance-edit-restart-options').classList.toggle('hidden', !policy);
+    document.getElementById('instance-edit-max-retries').value = policy?.maxRetries ?? '';
+    document.getElementById('instance-edit-backoff').value = policy ? policy.backoff / 1000 : '';
+
+    const limitResume = instance.limitResume || { enabled: false, prompt: null };
+    document.getElementById('instance-edit-limit-section').classList.toggle('hidden', instance.type === 'shell');
+    document.getElementById('instance-edit-limit-resume').checked = limitResume.enabled;
+    document.getElementById('instance-edit-limit-prompt').value = limitResume.prompt || '';
+    document.getElementById('instance-edit-limit-prompt').classList.toggle('hidden', !limitResume.enabled);
+    this._loadInstanceEvents(id);
+
+    document.getElementById('instance-edit-modal-overlay').classList.remove('hidden');
+    nameInput.focus();
+  }
+
+  async _loadInstanceEvents(id) {
+    const list = document.getElementById('instance-edit-events');
+    list.innerHTML = '';
+    try {
+      const res = await fetch(`/api/instances/${id}/events`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      if (this._editingInstanceId !== id) return;
+      data.events.forEach((event) => this._appendInstanceEvent(event));
+    } catch (error) {
+      const li = document.createElement('li');
+      li.textContent = `Erreur: ${error.message}`;
+      list.appendChild(li);
+    }
+  }
+
+  _appendInstanceEvent(event) {
+    const li = document.createElement('li');
+    li.className = event.type;
+    li.innerHTML = '<span class="instance-event-time"></span><span class="instance-event-label"></span>';
+    li.querySelector('.instance-event-time').textContent = new Date(event.at).toLocaleString('fr-FR');
+    li.querySelector('.instance-event-label').textContent = INSTANCE_EVENTS[event.type]?.(event) || event.type;
+    document.getElementById('instance-edit-events').appendChild(li);
+  }
+
+  // Restart policy from the edit form; empty fields take the server defaults
+  _getEditedRestartPolicy() {
+    const mode = document.getElementById('instance-edit-restart').value;
+    if (mode === 'never') return null;
+
+    const maxRetries = document.getElementById('instance-edit-max-retries').value;
+    const backoff = document.getElementById('instance-edit-backoff').value;
+    return {
+      mode,
+      maxRetries: maxRetries ? parseInt(maxRetries, 10) : undefined,
+      backoff: backoff ? Math.round(parseFloat(backoff) * 1000) : undefined,
+    };
+  }
+
+  _hideInstanceEditModal() {
+    document.getElementById('instance-edit-modal-overlay').classList.add('hidden');
+    this._editingInstanceId = null;
+  }
+
+  _selectInstanceColor(color) {
+    this._editingInstanceColor = color;
+    document.querySelectorAll('#instance-edit-colors .color-swatch').forEach((swatch) => {
+      swatch.classList.toggle('selected', swatch.dataset.color === (color || ''));
+    });
+  }
+
+  async _saveInstanceLabels() {
+    const id = this._editingInstanceId;
+    if (!id) return;
+
+    try {
+      const res = await fetch(`/api/instances/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: document.getElementById('instance-edit-name').value.trim() || null,
+          note: document.getElementById('instance-edit-note').value.trim() || null,
+          color: this._editingInstanceColor,
+          restartPolicy: this._getEditedRestartPolicy(),
+        }),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      if (data.type !== 'shell') await this._saveLimitResume(id);
+
+      this._hideInstanceEditModal();
+      this._applyInstanceLabels(data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // Resume after the usage limit, from the edit form; only sent when changed
+  async _saveLimitResume(id) {
+    const current = this.instances.get(id)?.limitResume || { enabled: false, prompt: null };
+    const enabled = document.getElementById('instance-edit-limit-resume').checked;
+    const prompt = document.getElementById('instance-edit-limit-prompt').value.trim() || null;
+    if (enabled === current.enabled && prompt === current.prompt) return;
+
+    const res = await fetch(`/api/instances/${id}/limit-resume`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ enabled, prompt }),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Erreur');
+    this._applyLimitResume(id, data);
+  }
+
+  // Refresh every place an instance's name/note/color (and pinned/recording flags) is displayed
+  _applyInstanceLabels({ id, name, note, color, pinned, restartPolicy, recording }) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+
+    Object.assign(instance, { name, note, color, pinned, restartPolicy, recording });
+    this._renderInstancesList();
+
+    const slotIndex = this._getSlotIndexForTab(id);
+    if (slotIndex !== -1) {
+      this._rebuildSlotTabBar(this.slots[slotIndex]);
+    }
+    if (this.activeInstanceId === id) {
+      document.title = `${this._getInstanceLabel(instance)} - Claude Code UI`;
+    }
+  }
+
+  async _togglePinned(id) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+
+    try {
+      const res = await fetch(`/api/instances/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pinned: !instance.pinned }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+
+      this._applyInstanceLabels(data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // PROCESS MONITORING
+  // =============================================
+
+  // CPU gauge of an instance row, from the last sample pushed by the server
+  _updateStatsGauge(li) {
+    const gauge = li.querySelector('.stats-gauge');
+    const stats = this.instanceStats.get(li.dataset.id);
+    gauge.classList.toggle('hidden', !stats);
+    if (!stats) return;
+
+    const fill = gauge.querySelector('.stats-gauge-fill');
+    fill.style.width = `${Math.min(100, stats.cpu)}%`;
+    fill.className = 'stats-gauge-fill' + (stats.cpu >= 90 ? ' high' : stats.cpu >= 50 ? ' medium' : '');
+    gauge.title = `CPU ${Math.round(stats.cpu)}% · ${this._formatBytes(stats.rss)} · ${stats.processCount} processus\nCliquer pour voir les processus`;
+  }
+
+  _formatBytes(bytes) {
+    if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} Go`;
+    if (bytes >= 1024 ** 2) return `${Math.round(bytes / 1024 ** 2)} Mo`;
+    return `${Math.round(bytes / 1024)} Ko`;
+  }
+
+  _bindProcessesEvents() {
+    const overlay = document.getElementById('processes-modal-overlay');
+
+    document.getElementById('processes-modal-close').addEventListener('click', () => this._hideProcessesModal());
+    document.getElementById('processes-modal-close-btn').addEventListener('click', () => this._hideProcessesModal());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideProcessesModal();
+    });
+  }
+
+  _showProcessesModal(id) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+
+    this._processesInstanceId = id;
+    document.getElementById('processes-modal-title').textContent = this._getInstanceLabel(instance);
+    document.getElementById('processes-list').innerHTML = '<li class="recordings-empty">Chargement...</li>';
+    document.getElementById('processes-modal-overlay').classList.remove('hidden');
+    this._loadProcesses();
+  }
+
+  _hideProcessesModal() {
+    document.getElementById('processes-modal-overlay').classList.add('hidden');
+    this._processesInstanceId = null;
+  }
+
+  async _loadProcesses() {
+    const id = this._processesInstanceId;
+    try {
+      const res = await fetch(`/api/instances/${id}/stats`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      // Closed or reopened on another instance meanwhile
+      if (id === this._processesInstanceId) this._renderProcesses(id, data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+      this._hideProcessesModal();
+    }
+  }
+
+  _renderProcesses(id, stats) {
+    document.getElementById('processes-summary').textContent =
+      `CPU ${Math.round(stats.cpu)}% · Mémoire ${this._formatBytes(stats.rss)} · ${stats.processes.length} processus`;
+
+    const list = document.getElementById('processes-list');
+    list.innerHTML = '';
+
+    if (stats.processes.length === 0) {
+      list.innerHTML = '<li class="recordings-empty">Aucun processus (instance terminée)</li>';
+      return;
+    }
+
+    stats.processes.forEach((proc) => {
+      const isRoot = proc.pid === stats.pid;
+      const li = document.createElement('li');
+      li.className = 'recording-item process-item';
+      li.innerHTML = `
+        <div class="recording-info">
+          <span class="recording-title"></span>
+          <span class="recording-meta"></span>
+        </div>
+        <span class="process-usage"></span>
+        ${isRoot ? '' : `<button class="btn-icon-sm process-kill" title="Tuer le processus">
+          <i class="fa-solid fa-skull"></i>
+        </button>`}
+      `;
+
+      const title = li.querySelector('.recording-title');
+      title.textContent = proc.command;
+      title.title = proc.command;
+      li.querySelector('.recording-meta').textContent = `${proc.name} · PID ${proc.pid}${isRoot ? ' · processus de l\'instance' : ''}`;
+      li.querySelector('.process-usage').textContent = `${proc.cpu}% · ${this._formatBytes(proc.rss)}`;
+
+      const killBtn = li.querySelector('.process-kill');
+      if (killBtn) {
+        killBtn.addEventListener('click', () => this._killProcess(id, proc));
+      }
+      list.appendChild(li);
+    });
+  }
+
+  async _killProcess(id, proc) {
+    if (!confirm(`Tuer le processus ${proc.name} (PID ${proc.pid}) ?`)) return;
+
+    try {
+      const res = await fetch(`/api/instances/${id}/processes/${proc.pid}/kill`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ signal: 'SIGTERM' }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+
+      this._showToast(`Processus ${proc.pid} arrêté`, 'success');
+      this._loadProcesses();
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // INSTANCE HISTORY
+  // =============================================
+
+  _bindHistoryEvents() {
+    const overlay = document.getElementById('history-modal-overlay');
+
+    document.getElementById('history-btn').addEventListener('click', () => this._showHistoryModal());
+    document.getElementById('history-modal-close').addEventListener('click', () => this._hideHistoryModal());
+    document.getElementById('history-modal-close-btn').addEventListener('click', () => this._hideHistoryModal());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideHistoryModal();
+    });
+  }
+
+  async _showHistoryModal() {
+    document.getElementById('history-modal-overlay').classList.remove('hidden');
+    const list = document.getElementById('history-list');
+    list.innerHTML = '<li class="recordings-empty">Chargement...</li>';
+
+    try {
+      const res = await fetch('/api/instance-history');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this._renderHistoryList(data.entries);
+    } catch (error) {
+      list.innerHTML = '';
+      const li = document.createElement('li');
+      li.className = 'recordings-empty';
+      li.textContent = `Erreur: ${error.message}`;
+      list.appendChild(li);
+    }
+  }
+
+  _hideHistoryModal() {
+    document.getElementById('history-modal-overlay').classList.add('hidden');
+  }
+
+  _renderHistoryList(entries) {
+    const list = document.getElementById('history-list');
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+      list.innerHTML = '<li class="recordings-empty">Aucune instance terminée</li>';
+      return;
+    }
+
+    entries.forEach((entry) => {
+      const li = document.createElement('li');
+      li.className = 'recording-item history-item';
+      li.title = entry.cwd;
+      li.innerHTML = `
+        <i class="fa-solid ${entry.type === 'shell' ? 'fa-terminal' : 'fa-robot'} history-type-icon"></i>
+        <div class="recording-info">
+          <span class="recording-title"></span>
+          <span class="recording-meta"></span>
+        </div>
+        <span class="history-reason ${entry.reason}"></span>
+      `;
+
+      const minutes = Math.round((new Date(entry.endedAt) - new Date(entry.createdAt)) / 60000);
+      li.querySelector('.recording-title').textContent = this._getInstanceLabel(entry);
+      li.querySelector('.recording-meta').textContent = [
+        new Date(entry.endedAt).toLocaleString('fr-FR'),
+        `durée ${this._formatTime(minutes)}`,
+        entry.exitCode !== null ? `code ${entry.exitCode}` : null,
+      ].filter(Boolean).join(' · ');
+      li.querySelector('.history-reason').textContent = END_REASONS[entry.reason] || entry.reason;
+
+      list.appendChild(li);
+    });
+  }
+
+  // =============================================
+  // SESSION HISTORY
+  // =============================================
+
+  _bindSessionsEvents() {
+    const overlay = document.getElementById('sessions-modal-overlay');
+
+    document.getElementById('sessions-modal-close').addEventListener('click', () => this._hideSessionsModal());
+    document.getElementById('sessions-modal-close-btn').addEventListener('click', () => this._hideSessionsModal());
+    document.getElementById('sessions-filter').addEventListener('input', () => this._renderSessionsList());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideSessionsModal();
+    });
+  }
+
+  async _showSessionsModal(cwd, name) {
+    this._sessionsCwd = cwd;
+    this._sessions = null;
+    document.getElementById('sessions-modal-project').textContent = name;
+    document.getElementById('sessions-filter').value = '';
+    document.getElementById('sessions-modal-overlay').classList.remove('hidden');
+    this._renderSessionsList();
+
+    try {
+      const res = await fetch(`/api/sessions?cwd=${encodeURIComponent(cwd)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      if (this._sessionsCwd !== cwd) return;
+      this._sessions = data.sessions;
+      this._renderSessionsList();
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  _hideSessionsModal() {
+    document.getElementById('sessions-modal-overlay').classList.add('hidden');
+    this._sessionsCwd = null;
+  }
+
+  _renderSessionsList() {
+    const list = document.getElementById('sessions-list');
+    list.innerHTML = '';
+
+    if (!this._sessions) {
+      list.innerHTML = '<li class="recordings-empty"><i class="fa-solid fa-spinner fa-spin"></i> Chargement...</li>';
+      return;
+    }
+
+    const filter = document.getElementById('sessions-filter').value.toLowerCase().trim();
+    const sessions = this._sessions.filter(session => !filter
+      || (session.title || '').toLowerCase().includes(filter)
+      || (session.firstPrompt || '').toLowerCase().includes(filter));
+
+    if (sessions.length === 0) {
+      list.innerHTML = `<li class="recordings-empty">${filter ? 'Aucun résultat' : 'Aucune conversation passée'}</li>`;
+      return;
+    }
+
+    sessions.forEach((session) => {
+      const li = document.createElement('li');
+      li.className = 'recording-item session-item';
+      li.innerHTML = `
+        <div class="recording-info">
+          <span class="recording-title"></span>
+          <span class="session-prompt"></span>
+          <span class="recording-meta"></span>
+        </div>
+      `;
+      li.querySelector('.recording-title').textContent = session.title || session.firstPrompt?.split('\n')[0] || '(sans prompt)';
+      li.querySelector('.session-prompt').textContent = session.title ? session.firstPrompt || '' : '';
+      li.querySelector('.recording-meta').textContent = [
+        session.startedAt ? `Démarrée le ${new Date(session.startedAt).toLocaleString('fr-FR')}` : null,
+        `dernière activité le ${new Date(session.lastActivityAt).toLocaleString('fr-FR')}`,
+        `${session.messageCount} message(s)`,
+      ].filter(Boolean).join(' · ');
+      li.title = session.firstPrompt || '';
+
+      const readButton = document.createElement('button');
+      readButton.className = 'btn btn-secondary btn-sm';
+      readButton.innerHTML = '<i class="fa-solid fa-book-open"></i> Lire';
+      readButton.title = 'Afficher la conversation (lecture seule)';
+      readButton.addEventListener('click', () => {
+        const cwd = this._sessionsCwd;
+        this._hideSessionsModal();
+        this._showConversationPanel(cwd, session.id);
+      });
+      li.appendChild(readButton);
+
+      // A conversation open in an instance is shown there instead of resumed twice
+      const button = document.createElement('button');
+      if (session.instanceId) {
+        button.className = 'btn btn-secondary btn-sm';
+        button.innerHTML = '<i class="fa-solid fa-eye"></i> Ouverte';
+        button.title = 'Afficher l\'instance';
+        button.addEventListener('click', () => {
+          this._hideSessionsModal();
+          this._selectInstance(session.instanceId);
+        });
+      } else {
+        button.className = 'btn btn-primary btn-sm';
+        button.innerHTML = '<i class="fa-solid fa-play"></i> Reprendre';
+        button.title = 'Reprendre dans une nouvelle instance (claude --resume)';
+        button.addEventListener('click', () => this._resumeSession(session.id));
+      }
+      li.appendChild(button);
+      list.appendChild(li);
+    });
+  }
+
+  async _resumeSession(sessionId) {
+    const cwd = this._sessionsCwd;
+
+    try {
+      const res = await fetch(`/api/sessions/${sessionId}/resume`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cwd, profileId: this.selectedProfileId || undefined }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+
+      this._hideSessionsModal();
+      if (data.queued) {
+        this._showQueuedToast(data.queued);
+        return;
+      }
+      await this._connectToInstance(data);
+      this._renderInstancesList();
+      this._selectInstance(data.id, this.layoutMode !== 'single');
+      this._showToast('Conversation reprise', 'success');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // CONVERSATION VIEWER
+  // =============================================
+
+  // `fromLink`: opened from a permalink, which may point to a removed session or another machine
+  async _showConversationPanel(cwd, sessionId, query = '', { fromLink = false } = {}) {
+    const tabId = `conv-${sessionId}`;
+
+    // Already open: bring it to the front
+    if (this.conversationPanels.has(tabId)) {
+      const existingSlotIndex = this._getSlotIndexForTab(tabId);
+      if (existingSlotIndex !== -1) {
+        this._activateTab(existingSlotIndex, tabId);
+      } else {
+        this._addTabToSlot(this.activeSlotIndex, tabId, true);
+      }
+      return;
+    }
+
+    let session;
+    try {
+      const res = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}?cwd=${encodeURIComponent(cwd)}`);
+      session = await res.json();
+      if (res.status === 404 && fromLink) {
+        const reason = session.error === 'Directory not found'
+          ? `le dossier ${cwd} n'existe pas sur cette machine`
+          : 'cette conversation n\'existe plus ou vient d\'une autre machine';
+        throw new Error(`Lien de conversation invalide : ${reason}`);
+      }
+      if (!res.ok) throw new Error(session.error || 'Erreur');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+      return;
+    }
+
+    const firstPrompt = session.messages.find(m => m.type === 'prompt');
+    const wrapper = document.createElement('div');
+    wrapper.className = 'conversation-panel';
+    wrapper.innerHTML = `
+      <div class="conversation-panel-header">
+        <div class="conversation-info">
+          <span class="conversation-title"></span>
+          <span class="conversation-meta"></span>
+        </div>
+        <div class="conversation-search">
+          <i class="fa-solid fa-magnifying-glass"></i>
+          <input type="text" placeholder="Rechercher...">
+          <span class="conversation-search-count"></span>
+          <button class="btn-icon-sm conversation-search-prev" title="Résultat précédent (Maj+Entrée)">
+            <i class="fa-solid fa-chevron-up"></i>
+          </button>
+          <button class="btn-icon-sm conversation-search-next" title="Résultat suivant (Entrée)">
+            <i class="fa-solid fa-chevron-down"></i>
+          </button>
+        </div>
+        <button class="btn-icon-sm conversation-link" title="Copier le lien vers cette conversation">
+          <i class="fa-solid fa-link"></i>
+        </button>
+      </div>
+      <ul class="conversation-messages"></ul>
+    `;
+
+    const panel = {
+      id: tabId,
+      sessionId,
+      cwd,
+      title: session.title || firstPrompt?.text.split('\n')[0].slice(0, 60) || sessionId.slice(0, 8),
+      wrapper,
+      list: wrapper.querySelector('.conversation-messages'),
+      hits: [],
+      hitIndex: -1,
+    };
+
+    // Titles and prompts are user input: set as text
+    wrapper.querySelector('.conversation-title').textContent = panel.title;
+    wrapper.querySelector('.conversation-meta').textContent = [
+      cwd,
+      session.startedAt ? new Date(session.startedAt).toLocaleString('fr-FR') : null,
+      `${session.messages.length} message(s)`,
+    ].filter(Boolean).join(' · ');
+
+    session.messages.forEach((message) => {
+      if (message.type === 'prompt') {
+        const li = document.createElement('li');
+        li.className = 'job-message conversation-prompt';
+        li.textContent = message.text;
+        panel.list.appendChild(li);
+      } else {
+        panel.list.appendChild(this._createClaudeMessage(message));
+      }
+    });
+    if (session.messages.length === 0) {
+      panel.list.innerHTML = '<li class="recordings-empty">Conversation vide</li>';
+    }
+
+    const input = wrapper.querySelector('.conversation-search input');
+    input.addEventListener('input', () => this._searchConversation(panel, input.value));
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this._showConversationHit(panel, e.shiftKey ? -1 : 1);
+      }
+    });
+    wrapper.querySelector('.conversation-search-prev').addEventListener('click', () => this._showConversationHit(panel, -1));
+    wrapper.querySelector('.conversation-search-next').addEventListener('click', () => this._showConversationHit(panel, 1));
+    wrapper.querySelector('.conversation-link').addEventListener('click', () => this._copyConversationLink(panel, input.value));
+
+    this.conversationPanels.set(tabId, panel);
+    this._addTabToSlot(this.activeSlotIndex, tabId, true);
+
+    if (query) {
+      input.value = query;
+      this._searchConversation(panel, query);
+    }
+  }
+
+  // Highlight the messages containing the query and jump to the first one
+  _searchConversation(panel, query) {
+    const needle = query.trim().toLowerCase();
+    panel.hits = [];
+    panel.hitIndex = -1;
+
+    Array.from(panel.list.children).forEach((li) => {
+      const hit = needle !== '' && li.textContent.toLowerCase().includes(needle);
+      li.classList.toggle('search-hit', hit);
+      li.classList.remove('search-current');
+      if (hit) panel.hits.push(li);
+    });
+
+    this._showConversationHit(panel, 1);
+  }
+
+  // Scroll to the next (1) or previous (-1) match, opening a collapsed tool call
+  _showConversationHit(panel, direction) {
+    const count = panel.wrapper.querySelector('.conversation-search-count');
+    const query = panel.wrapper.querySelector('.conversation-search input').value.trim();
+    if (panel.hits.length === 0) {
+      count.textContent = query ? '0 résultat' : '';
+      return;
+    }
+
+    panel.hits[panel.hitIndex]?.classList.remove('search-current');
+    panel.hitIndex = (panel.hitIndex + direction + panel.hits.length) % panel.hits.length;
+    const li = panel.hits[panel.hitIndex];
+    li.classList.add('search-current');
+    const details = li.querySelector('details');
+    if (details) details.open = true;
+    li.scrollIntoView({ block: 'center' });
+    count.textContent = `${panel.hitIndex + 1} / ${panel.hits.length}`;
+  }
+
+  // Link reopening the conversation (and the current search) on this server
+  async _copyConversationLink(panel, query) {
+    const params = new URLSearchParams({ session: panel.sessionId, cwd: panel.cwd });
+    if (query.trim()) params.set('q', query.trim());
+    const link = `${location.origin}${location.pathname}?${params}`;
+
+    try {
+      await navigator.clipboard.writeText(link);
+      this._showToast('Lien copié', 'success');
+    } catch {
+      window.prompt('Lien vers la conversation', link);
+    }
+  }
+
+  _openConversationPermalink() {
+    const params = new URLSearchParams(location.search);
+    const sessionId = params.get('session');
+    const cwd = params.get('cwd');
+    if (!sessionId && !cwd) return;
+
+    // Reloading the page should not open it again
+    history.replaceState(null, '', location.pathname);
+    if (!sessionId || !cwd) {
+      this._showToast('Lien de conversation incomplet', 'error');
+      return;
+    }
+    this._showConversationPanel(cwd, sessionId, params.get('q') || '', { fromLink: true });
+  }
+
+  _closeConversationTab(tabId) {
+    const panel = this.conversationPanels.get(tabId);
+    if (!panel) return;
+
+    this._removeTabFromAllSlots(tabId);
+
+    panel.wrapper.remove();
+    this.conversationPanels.delete(tabId);
+
+    this._updateEmptyState();
+  }
+
+  // =============================================
+  // BATCH RUNS
+  // =============================================
+
+  _bindBatchesEvents() {
+    const overlay = document.getElementById('batches-modal-overlay');
+
+    document.getElementById('batches-btn').addEventListener('click', () => this._showBatchesModal());
+    document.getElementById('batches-modal-close').addEventListener('click', () => this._hideBatchesModal());
+    document.getElementById('batches-modal-close-btn').addEventListener('click', () => this._hideBatchesModal());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideBatchesModal();
+    });
+
+    document.getElementById('batches-new-btn').addEventListener('click', () => this._showBatchForm());
+    document.getElementById('batch-start').addEventListener('click', () => this._startBatch());
+    document.getElementById('batch-cancel').addEventListener('click', () => this._cancelBatch());
+    document.getElementById('batch-delete').addEventListener('click', () => this._deleteBatch());
+    document.getElementById('batch-projects-filter').addEventListener('input', () => this._filterBatchProjects());
+    document.getElementById('batch-projects-all').addEventListener('change', (e) => {
+      document.querySelectorAll('#batch-projects li:not(.hidden) input').forEach((input) => {
+        input.checked = e.target.checked;
+      });
+      this._updateBatchProjectsCount();
+    });
+  }
+
+  async _showBatchesModal() {
+    document.getElementById('batches-modal-overlay').classList.remove('hidden');
+    this._showBatchForm();
+
+    try {
+      const res = await fetch('/api/batches');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this.batches = data.batches;
+      this._renderBatchesList();
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  _hideBatchesModal() {
+    document.getElementById('batches-modal-overlay').classList.add('hidden');
+    this._viewedBatch = null;
+  }
+
+  _renderBatchesList() {
+    const list = document.getElementById('batches-list');
+    list.innerHTML = '';
+
+    if (this.batches.length === 0) {
+      list.innerHTML = '<li class="profiles-empty">Aucune exécution</li>';
+      return;
+    }
+
+    this.batches.forEach((batch) => {
+      const done = batch.runs.filter(run => run.status === 'succeeded').length;
+      const li = document.createElement('li');
+      li.className = 'profile-list-item batch-list-item';
+      li.classList.toggle('active', this._viewedBatch?.id === batch.id);
+      li.innerHTML = `
+        <span class="batch-list-prompt"></span>
+        <span class="batch-list-meta"></span>
+      `;
+      li.querySelector('.batch-list-prompt').textContent = batch.prompt.split('\n')[0];
+      li.querySelector('.batch-list-meta').textContent = [
+        new Date(batch.createdAt).toLocaleString('fr-FR'),
+        `${done}/${batch.runs.length} réussi(s)`,
+        batch.status === 'running' ? 'en cours' : null,
+      ].filter(Boolean).join(' · ');
+      li.title = batch.prompt;
+      li.addEventListener('click', () => this._viewBatch(batch.id));
+      list.appendChild(li);
+    });
+  }
+
+  _showBatchForm() {
+    this._viewedBatch = null;
+    document.getElementById('batch-details').classList.add('hidden');
+    document.getElementById('batch-form').classList.remove('hidden');
+    document.querySelectorAll('#batches-list .batch-list-item').forEach(li => li.classList.remove('active'));
+
+    const profileSelect = document.getElementById('batch-profile');
+    profileSelect.innerHTML = '';
+    profileSelect.appendChild(new Option('Profil par défaut', ''));
+    this.launchProfiles.forEach((profile) => profileSelect.appendChild(new Option(profile.name, profile.id)));
+    profileSelect.value = this.selectedProfileId;
+
+    const list = document.getElementById('batch-projects');
+    const checked = new Set(Array.from(list.querySelectorAll('input:checked')).map(input => input.value));
+    list.innerHTML = '';
+    this.projects.forEach((project) => {
+      const li = document.createElement('li');
+      li.innerHTML = '<label class="checkbox-label"><input type="checkbox"><span></span></label>';
+      const input = li.querySelector('input');
+      input.value = project.path;
+      input.checked = checked.has(project.path);
+      input.addEventListener('change', () => this._updateBatchProjectsCount());
+      li.querySelector('span').textContent = project.name;
+      li.title = project.path;
+      list.appendChild(li);
+    });
+    this._filterBatchProjects();
+    this._updateBatchProjectsCount();
+    document.getElementById('batch-prompt').focus();
+  }
+
+  _filterBatchProjects() {
+    const filter = document.getElementById('batch-projects-filter').value.toLowerCase();
+    document.querySelectorAll('#batch-projects li').forEach((li) => {
+      li.classList.toggle('hidden', Boolean(filter) && !li.title.toLowerCase().includes(filter));
+    });
+  }
+
+  _getBatchProjects() {
+    return Array.from(document.querySelectorAll('#batch-projects input:checked')).map(input => input.value);
+  }
+
+  _updateBatchProjectsCount() {
+    document.getElementById('batch-projects-count').textContent = `(${this._getBatchProjects().length} sélectionné(s))`;
+  }
+
+  async _startBatch() {
+    const prompt = document.getElementById('batch-prompt').value.trim();
+    const projects = this._getBatchProjects();
+    if (!prompt || projects.length === 0) {
+      this._showToast('Saisissez un prompt et cochez au moins un projet', 'error');
+      return;
+    }
+
+    try {
+      const res = await fetch('/api/batches', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prompt, projects, profileId: document.getElementById('batch-profile').value || undefined }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+
+      document.getElementById('batch-prompt').value = '';
+      this._applyBatch(data);
+      this._showBatchDetails(data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _viewBatch(id) {
+    try {
+      const res = await fetch(`/api/batches/${id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this._showBatchDetails(data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  _showBatchDetails(batch) {
+    this._viewedBatch = batch;
+    this._selectedRunIndex = this._selectedRunIndex !== undefined && batch.runs[this._selectedRunIndex] ? this._selectedRunIndex : 0;
+    document.getElementById('batch-form').classList.add('hidden');
+    document.getElementById('batch-details').classList.remove('hidden');
+    document.getElementById('batch-details-prompt').textContent = batch.prompt;
+    this._renderBatchesList();
+    this._renderBatchRuns();
+  }
+
+  _renderBatchRuns() {
+    const batch = this._viewedBatch;
+    const list = document.getElementById('batch-runs');
+    list.innerHTML = '';
+    document.getElementById('batch-cancel').classList.toggle('hidden', batch.status !== 'running');
+    document.getElementById('batch-delete').classList.toggle('hidden', batch.status === 'running');
+
+    batch.runs.forEach((run, index) => {
+      const li = document.createElement('li');
+      li.className = `recording-item batch-run ${run.status}`;
+      li.classList.toggle('active', index === this._selectedRunIndex);
+      li.innerHTML = `
+        <i class="${BATCH_RUN_ICONS[run.status]} batch-run-icon"></i>
+        <div class="recording-info">
+          <span class="recording-title"></span>
+          <span class="recording-meta"></span>
+        </div>
+      `;
+      li.title = run.project;
+      li.querySelector('.recording-title').textContent = run.name;
+      const seconds = run.startedAt && run.finishedAt
+        ? Math.round((new Date(run.finishedAt) - new Date(run.startedAt)) / 1000)
+        : null;
+      li.querySelector('.recording-meta').textContent = [
+        run.exitCode !== null ? `code ${run.exitCode}` : null,
+        seconds !== null ? this._formatDuration(seconds) : null,
+      ].filter(Boolean).join(' · ');
+      li.addEventListener('click', () => {
+        this._selectedRunIndex = index;
+        this._renderBatchRuns();
+      });
+      list.appendChild(li);
+    });
+
+    const run = batch.runs[this._selectedRunIndex];
+    const output = document.getElementById('batch-run-output');
+    output.textContent = run?.output || (run?.status === 'pending' ? 'En attente...' : '');
+    output.scrollTop = output.scrollHeight;
+  }
+
+  // Summary pushed by the server: refresh the list and the batch on screen
+  _applyBatch(summary) {
+    const index = this.batches.findIndex(b => b.id === summary.id);
+    const previous = index === -1 ? null : this.batches[index];
+    if (index === -1) {
+      this.batches.unshift(summary);
+    } else {
+      this.batches[index] = summary;
+    }
+
+    if (previous?.status === 'running' && summary.status !== 'running') {
+      const succeeded = summary.runs.filter(run => run.status === 'succeeded').length;
+      this._showToast(`Exécution groupée terminée : ${succeeded}/${summary.runs.length} réussie(s)`, succeeded === summary.runs.length ? 'success' : 'error');
+    }
+
+    if (document.getElementById('batches-modal-overlay').classList.contains('hidden')) return;
+    this._renderBatchesList();
+    if (this._viewedBatch?.id === summary.id) {
+      // Summaries carry no output: keep what was received so far
+      const runs = summary.runs.map((run, i) => ({ ...run, output: this._viewedBatch.runs[i]?.output || '' }));
+      this._viewedBatch = { ...summary, runs };
+      this._renderBatchRuns();
+    }
+  }
+
+  _appendBatchOutput({ batchId, runIndex, chunk }) {
+    const batch = this._viewedBatch;
+    if (!batch || batch.id !== batchId || !batch.runs[runIndex]) return;
+
+    batch.runs[runIndex].output += chunk;
+    if (runIndex === this._selectedRunIndex) {
+      const output = document.getElementById('batch-run-output');
+      const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 10;
+      output.textContent = batch.runs[runIndex].output;
+      if (atBottom) output.scrollTop = output.scrollHeight;
+    }
+  }
+
+  async _cancelBatch() {
+    const batch = this._viewedBatch;
+    if (!batch || !confirm('Arrêter les exécutions en cours et annuler celles en attente ?')) return;
+
+    try {
+      const res = await fetch(`/api/batches/${batch.id}/cancel`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _deleteBatch() {
+    const batch = this._viewedBatch;
+    if (!batch || !confirm('Supprimer cette exécution et ses journaux ?')) return;
+
+    try {
+      const res = await fetch(`/api/batches/${batch.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+
+      this.batches = this.batches.filter(b => b.id !== batch.id);
+      this._renderBatchesList();
+      this._showBatchForm();
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // JOBS
+  // =============================================
+
+  _bindJobsEvents() {
+    const overlay = document.getElementById('job-modal-overlay');
+
+    document.getElementById('new-job-btn').addEventListener('click', () => this._showJobForm());
+    document.getElementById('job-modal-close').addEventListener('click', () => this._hideJobModal());
+    document.getElementById('job-modal-close-btn').addEventListener('click', () => this._hideJobModal());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideJobModal();
+    });
+
+    document.getElementById('job-start').addEventListener('click', () => this._startJob());
+    document.getElementById('job-cancel').addEventListener('click', () => this._cancelJob());
+    document.getElementById('job-delete').addEventListener('click', () => this._deleteJob());
+  }
+
+  async _loadJobs() {
+    try {
+      const res = await fetch('/api/jobs');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this.jobs = data.jobs;
+      this._renderJobsList();
+    } catch (error) {
+      console.error('Failed to load jobs:', error);
+    }
+  }
+
+  _renderJobsList() {
+    const list = document.getElementById('jobs-list');
+    list.innerHTML = '';
+
+    if (this.jobs.length === 0) {
+      list.innerHTML = '<li class="empty-message">Aucun job</li>';
+      return;
+    }
+
+    this.jobs.forEach((job) => {
+      const li = document.createElement('li');
+      li.className = `job-item ${job.status}`;
+      li.classList.toggle('active', this._viewedJob?.id === job.id);
+      li.title = `${job.cwd}\n\n${job.prompt}`;
+      li.innerHTML = `
+        <i class="${JOB_STATUSES[job.status].icon} job-status-icon"></i>
+        <span class="job-name"></span>
+        <span class="job-meta"></span>
+      `;
+      li.querySelector('.job-name').textContent = `${job.name} · ${job.prompt.split('\n')[0]}`;
+      li.querySelector('.job-meta').textContent = job.costUsd !== null ? this._formatCost(job.costUsd) : JOB_STATUSES[job.status].label;
+      li.addEventListener('click', () => this._viewJob(job.id));
+      list.appendChild(li);
+    });
+  }
+
+  _showJobForm() {
+    this._viewedJob = null;
+    document.getElementById('job-modal-title').textContent = 'Nouveau job';
+    document.getElementById('job-form').classList.remove('hidden');
+    document.getElementById('job-details').classList.add('hidden');
+    document.getElementById('job-start').classList.remove('hidden');
+    document.getElementById('job-cancel').classList.add('hidden');
+    document.getElementById('job-delete').classList.add('hidden');
+
+    const projectSelect = document.getElementById('job-project');
+    const previous = projectSelect.value;
+    projectSelect.innerHTML = '';
+    this.projects.forEach((project) => projectSelect.appendChild(new Option(project.name, project.path)));
+    if (previous) projectSelect.value = previous;
+
+    const profileSelect = document.getElementById('job-profile');
+    profileSelect.innerHTML = '';
+    profileSelect.appendChild(new Option('Profil par défaut', ''));
+    this.launchProfiles.forEach((profile) => profileSelect.appendChild(new Option(profile.name, profile.id)));
+    profileSelect.value = this.selectedProfileId;
+
+    document.getElementById('job-modal-overlay').classList.remove('hidden');
+    document.getElementById('job-prompt').focus();
+  }
+
+  _hideJobModal() {
+    document.getElementById('job-modal-overlay').classList.add('hidden');
+    this._viewedJob = null;
+    this._renderJobsList();
+  }
+
+  async _startJob() {
+    const cwd = document.getElementById('job-project').value;
+    const prompt = document.getElementById('job-prompt').value.trim();
+    if (!cwd || !prompt) {
+      this._showToast('Choisissez un projet et saisissez un prompt', 'error');
+      return;
+    }
+
+    try {
+      const res = await fetch('/api/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cwd, prompt, profileId: document.getElementById('job-profile').value || undefined }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+
+      document.getElementById('job-prompt').value = '';
+      this._applyJob(data);
+      this._showJobDetails(data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _viewJob(id) {
+    try {
+      const res = await fetch(`/api/jobs/${id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this._showJobDetails(data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  _showJobDetails(job) {
+    this._viewedJob = job;
+    document.getElementById('job-modal-title').textContent = job.name;
+    document.getElementById('job-form').classList.add('hidden');
+    document.getElementById('job-details').classList.remove('hidden');
+    document.getElementById('job-start').classList.add('hidden');
+    document.getElementById('job-details-prompt').textContent = job.prompt;
+    document.getElementById('job-modal-overlay').classList.remove('hidden');
+
+    const list = document.getElementById('job-messages');
+    list.innerHTML = '';
+    job.messages.forEach((message, index) => this._renderJobMessage(index, message));
+    this._renderJobDetails();
+    this._renderJobsList();
+  }
+
+  // Status, cost and result of the job on screen
+  _renderJobDetails() {
+    const job = this._viewedJob;
+    const finished = !['queued', 'running'].includes(job.status);
+    document.getElementById('job-cancel').classList.toggle('hidden', finished);
+    document.getElementById('job-delete').classList.toggle('hidden', !finished);
+
+    const meta = document.getElementById('job-details-meta');
+    meta.innerHTML = `<span class="job-item ${job.status}"><i class="${JOB_STATUSES[job.status].icon} job-status-icon"></i> ${JOB_STATUSES[job.status].label}</span>`;
+    const tokens = job.usage ? (job.usage.input_tokens || 0) + (job.usage.output_tokens || 0) : null;
+    const details = [
+      job.cwd,
+      job.model,
+      job.numTurns !== null ? `${job.numTurns} tour(s)` : null,
+      job.durationMs !== null ? this._formatDuration(job.durationMs / 1000) : null,
+      tokens !== null ? `${tokens.toLocaleString('fr-FR')} tokens` : null,
+      job.costUsd !== null ? this._formatCost(job.costUsd) : null,
+    ].filter(Boolean);
+    details.forEach((text) => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      meta.appendChild(span);
+    });
+
+    const result = document.getElementById('job-result');
+    result.classList.toggle('hidden', job.result === null);
+    result.classList.toggle('error', job.isError);
+    if (job.result !== null) result.innerHTML = this._renderMarkdown(job.result);
+
+    const stderr = document.getElementById('job-stderr');
+    stderr.classList.toggle('hidden', !job.stderr);
+    stderr.textContent = job.stderr || '';
+  }
+
+  // Add or replace the message at `index` (a tool call is sent again with its result)
+  _renderJobMessage(index, message) {
+    const list = document.getElementById('job-messages');
+    const existing = list.children[index];
+    const li = this._createClaudeMessage(message);
+    const details = li.querySelector('details');
+    if (details) details.open = Boolean(existing?.querySelector('details')?.open);
+
+    if (existing) {
+      existing.replaceWith(li);
+    } else {
+      list.appendChild(li);
+    }
+  }
+
+  // Claude's output is untrusted (a prompt-injected file can put HTML in it): strip scripts and handlers
+  _renderMarkdown(text) {
+    return DOMPurify.sanitize(marked.parse(text));
+  }
+
+  // Assistant text (markdown) or a collapsed tool call with its input and result
+  _createClaudeMessage(message) {
+    const li = document.createElement('li');
+    li.className = `job-message job-message-${message.type}`;
+
+    if (message.type === 'text') {
+      li.classList.add('markdown-content');
+      li.innerHTML = this._renderMarkdown(message.text);
+      return li;
+    }
+
+    const state = message.result === null ? 'fa-solid fa-spinner fa-spin' : message.isError ? 'fa-solid fa-xmark' : 'fa-solid fa-check';
+    li.innerHTML = `
+      <details>
+        <summary>
+          <i class="fa-solid fa-wrench"></i>
+          <span class="job-tool-name"></span>
+          <span class="job-tool-summary"></span>
+          <i class="${state} job-tool-state"></i>
+        </summary>
+        <pre class="job-tool-input"></pre>
+        <pre class="job-tool-result"></pre>
+      </details>
+    `;
+    li.classList.toggle('error', message.isError);
+    li.querySelector('.job-tool-name').textContent = message.name;
+    li.querySelector('.job-tool-summary').textContent = this._summarizeToolInput(message.input);
+    li.querySelector('.job-tool-result').textContent = message.result ?? '';
+
+    // File edits read better as a diff than as their JSON input
+    const input = li.querySelector('.job-tool-input');
+    const diff = this._getToolDiff(message);
+    if (diff) {
+      input.classList.add('tool-diff');
+      diff.forEach((line) => {
+        const span = document.createElement('span');
+        span.className = line.startsWith('@@') ? 'diff-hunk' : line[0] === '+' ? 'diff-add' : line[0] === '-' ? 'diff-del' : '';
+        span.textContent = `${line}\n`;
+        input.appendChild(span);
+      });
+    } else {
+      input.textContent = JSON.stringify(message.input, null, 2);
+    }
+    return li;
+  }
+
+  // Diff lines of an Edit, MultiEdit or Write call: the logged patch, else built from the input
+  _getToolDiff(message) {
+    if (message.patch) {
+      return message.patch.flatMap(hunk => [
+        `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+        ...hunk.lines,
+      ]);
+    }
+
+    const input = message.input || {};
+    const toLines = (text, prefix) => (text ? text.split('\n').map(line => prefix + line) : []);
+    if (message.name === 'Edit') {
+      return [...toLines(input.old_string, '-'), ...toLines(input.new_string, '+')];
+    }
+    if (message.name === 'MultiEdit' && Array.isArray(input.edits)) {
+      return input.edits.flatMap(edit => ['@@', ...toLines(edit.old_string, '-'), ...toLines(edit.new_string, '+')]);
+    }
+    if (message.name === 'Write' && typeof input.content === 'string') {
+      return toLines(input.content, '+');
+    }
+    return null;
+  }
+
+  // The most telling argument of a tool call: a path, a command, a pattern...
+  _summarizeToolInput(input) {
+    if (!input || typeof input !== 'object') return '';
+    const value = input.file_path || input.command || input.pattern || input.url || input.description || Object.values(input).find(v => typeof v === 'string');
+    return typeof value === 'string' ? value.split('\n')[0] : '';
+  }
+
+  _formatCost(usd) {
+    return `$${usd.toFixed(usd < 1 ? 4 : 2)}`;
+  }
+
+  // Summary pushed by the server: refresh the sidebar and the job on screen
+  async _applyJob(summary) {
+    const index = this.jobs.findIndex(j => j.id === summary.id);
+    const previous = index === -1 ? null : this.jobs[index];
+    if (index === -1) {
+      this.jobs.unshift(summary);
+    } else {
+      this.jobs[index] = summary;
+    }
+    this._renderJobsList();
+
+    const finished = !['queued', 'running'].includes(summary.status);
+    if (previous && ['queued', 'running'].includes(previous.status) && finished) {
+      this._showToast(`Job ${summary.name} : ${JOB_STATUSES[summary.status].label.toLowerCase()}`, summary.status === 'succeeded' ? 'success' : 'error');
+    }
+
+    if (this._viewedJob?.id !== summary.id) return;
+    if (finished) {
+      // Fetch what summaries leave out (stderr) once it is complete
+      await this._viewJob(summary.id);
+    } else {
+      this._viewedJob = { ...this._viewedJob, ...summary };
+      this._renderJobDetails();
+    }
+  }
+
+  _applyJobMessage({ jobId, index, message }) {
+    const job = this._viewedJob;
+    if (!job || job.id !== jobId) return;
+
+    job.messages[index] = message;
+    const list = document.getElementById('job-messages');
+    const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 10;
+    this._renderJobMessage(index, message);
+    if (atBottom) list.scrollTop = list.scrollHeight;
+  }
+
+  async _cancelJob() {
+    const job = this._viewedJob;
+    if (!job) return;
+
+    try {
+      const res = await fetch(`/api/jobs/${job.id}/cancel`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _deleteJob() {
+    const job = this._viewedJob;
+    if (!job || !confirm('Supprimer ce job et ses messages ?')) return;
+
+    try {
+      const res = await fetch(`/api/jobs/${job.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+
+      this.jobs = this.jobs.filter(j => j.id !== job.id);
+      this._hideJobModal();
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // SCHEDULES
+  // =============================================
+
+  _bindSchedulesEvents() {
+    const overlay = document.getElementById('schedules-modal-overlay');
+
+    document.getElementById('schedules-btn').addEventListener('click', () => this._showSchedulesModal());
+    document.getElementById('schedules-modal-close').addEventListener('click', () => this._hideSchedulesModal());
+    document.getElementById('schedules-modal-close-btn').addEventListener('click', () => this._hideSchedulesModal());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideSchedulesModal();
+    });
+
+    document.getElementById('schedules-new-btn').addEventListener('click', () => this._editSchedule(null));
+    document.getElementById('schedule-save').addEventListener('click', () => this._saveSchedule());
+    document.getElementById('schedule-run').addEventListener('click', () => this._runSchedule());
+    document.getElementById('schedule-delete').addEventListener('click', () => this._deleteSchedule());
+
+    let previewTimer = null;
+    document.getElementById('schedule-cron').addEventListener('input', () => {
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(() => this._previewScheduleCron(), 300);
+    });
+  }
+
+  async _showSchedulesModal() {
+    document.getElementById('schedules-modal-overlay').classList.remove('hidden');
+
+    try {
+      const res = await fetch('/api/schedules');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this.schedules = data.schedules;
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+    this._editSchedule(this.schedules[0] || null);
+  }
+
+  _hideSchedulesModal() {
+    document.getElementById('schedules-modal-overlay').classList.add('hidden');
+    this._editingSchedule = null;
+  }
+
+  _renderSchedulesList() {
+    const list = document.getElementById('schedules-list');
+    list.innerHTML = '';
+
+    if (this.schedules.length === 0) {
+      list.innerHTML = '<li class="profiles-empty">Aucune planification</li>';
+      return;
+    }
+
+    this.schedules.forEach((schedule) => {
+      const li = document.createElement('li');
+      li.className = 'profile-list-item schedule-list-item';
+      li.classList.toggle('active', this._editingSchedule?.id === schedule.id);
+      li.classList.toggle('disabled', !schedule.enabled);
+      li.innerHTML = `
+        <span class="schedule-list-name"></span>
+        <span class="schedule-list-meta"></span>
+      `;
+      li.querySelector('.schedule-list-name').textContent = schedule.name;
+      li.querySelector('.schedule-list-meta').textContent = schedule.enabled
+        ? `${schedule.cron} · ${schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString('fr-FR') : '-'}`
+        : `${schedule.cron} · désactivée`;
+      li.title = schedule.project;
+      li.addEventListener('click', () => this._editSchedule(schedule));
+      list.appendChild(li);
+    });
+  }
+
+  _editSchedule(schedule) {
+    this._editingSchedule = schedule;
+
+    const projectSelect = document.getElementById('schedule-project');
+    projectSelect.innerHTML = '';
+    this.projects.forEach((project) => projectSelect.appendChild(new Option(project.name, project.path)));
+    // Keep a project that is no longer detected selectable
+    if (schedule && !this.projects.some(p => p.path === schedule.project)) {
+      projectSelect.appendChild(new Option(schedule.project, schedule.project));
+    }
+
+    const profileSelect = document.getElementById('schedule-profile');
+    profileSelect.innerHTML = '';
+    profileSelect.appendChild(new Option('Profil par défaut', ''));
+    this.launchProfiles.forEach((profile) => profileSelect.appendChild(new Option(profile.name, profile.id)));
+
+    document.getElementById('schedule-name').value = schedule?.name || '';
+    projectSelect.value = schedule?.project || this.projects[0]?.path || '';
+    document.getElementById('schedule-cron').value = schedule?.cron || '0 3 * * *';
+    profileSelect.value = schedule?.profileId || '';
+    document.getElementById('schedule-prompt').value = schedule?.prompt || '';
+    document.getElementById('schedule-enabled').checked = schedule ? schedule.enabled : true;
+    document.getElementById('schedule-delete').classList.toggle('hidden', !schedule);
+    document.getElementById('schedule-run').classList.toggle('hidden', !schedule);
+    document.getElementById('schedule-runs-section').classList.toggle('hidden', !schedule);
+
+    this._renderSchedulesList();
+    this._renderScheduleRuns();
+    this._previewScheduleCron();
+  }
+
+  async _previewScheduleCron() {
+    const preview = document.getElementById('schedule-cron-preview');
+    const cron = document.getElementById('schedule-cron').value.trim();
+
+    try {
+      const res = await fetch(`/api/schedules/preview?cron=${encodeURIComponent(cron)}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      preview.classList.remove('error');
+      preview.textContent = data.nextRuns.length > 0
+        ? `Prochaines exécutions : ${data.nextRuns.map(date => new Date(date).toLocaleString('fr-FR')).join(', ')}`
+        : 'Cette expression ne correspond à aucune date';
+    } catch (error) {
+      preview.classList.add('error');
+      preview.textContent = error.message;
+    }
+  }
+
+  _renderScheduleRuns() {
+    const list = document.getElementById('schedule-runs');
+    list.innerHTML = '';
+    const runs = this._editingSchedule?.runs || [];
+
+    if (runs.length === 0) {
+      list.innerHTML = '<li class="recordings-empty">Aucune exécution</li>';
+      return;
+    }
+
+    runs.forEach((run) => {
+      const li = document.createElement('li');
+      li.className = `recording-item job-item schedule-run ${run.status}`;
+      li.innerHTML = `
+        <i class="${JOB_STATUSES[run.status].icon} job-status-icon"></i>
+        <div class="recording-info">
+          <span class="recording-title"></span>
+          <span class="recording-meta"></span>
+        </div>
+      `;
+      li.querySelector('.recording-title').textContent = [
+        new Date(run.startedAt).toLocaleString('fr-FR'),
+        JOB_STATUSES[run.status].label,
+        run.costUsd !== null ? this._formatCost(run.costUsd) : null,
+      ].filter(Boolean).join(' · ');
+      li.querySelector('.recording-meta').textContent = run.error || (run.result || '').split('\n')[0];
+      li.title = run.result || run.error || '';
+      if (run.jobId) {
+        li.addEventListener('click', () => this._viewJob(run.jobId));
+      }
+      list.appendChild(li);
+    });
+  }
+
+  // Pushed by the server on every change, including run progress
+  _applySchedule(schedule) {
+    const index = this.schedules.findIndex(s => s.id === schedule.id);
+    if (index === -1) {
+      this.schedules.push(schedule);
+    } else {
+      this.schedules[index] = schedule;
+    }
+
+    if (document.getElementById('schedules-modal-overlay').classList.contains('hidden')) return;
+    if (this._editingSchedule?.id === schedule.id) {
+      this._editingSchedule = schedule;
+      this._renderScheduleRuns();
+    }
+    this._renderSchedulesList();
+  }
+
+  async _saveSchedule() {
+    const body = {
+      name: document.getElementById('schedule-name').value.trim(),
+      project: document.getElementById('schedule-project').value,
+      cron: document.getElementById('schedule-cron').value.trim(),
+      profileId: document.getElementById('schedule-profile').value || null,
+      prompt: document.getElementById('schedule-prompt').value,
+      enabled: document.getElementById('schedule-enabled').checked,
+    };
+
+    if (!body.project || !body.prompt.trim()) {
+      this._showToast('Choisissez un projet et saisissez un prompt', 'error');
+      return;
+    }
+
+    try {
+      const editing = this._editingSchedule;
+      const res = await fetch(editing ? `/api/schedules/${editing.id}` : '/api/schedules', {
+        method: editing ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+
+      this._showToast(editing ? 'Planification mise à jour' : 'Planification créée', 'success');
+      this._applySchedule(data);
+      this._editSchedule(data);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _runSchedule() {
+    const schedule = this._editingSchedule;
+    if (!schedule) return;
+
+    try {
+      const res = await fetch(`/api/schedules/${schedule.id}/run`, { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+      if (data.error) throw new Error(data.error);
+      this._showToast('Exécution lancée', 'success');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _deleteSchedule() {
+    const schedule = this._editingSchedule;
+    if (!schedule || !confirm(`Supprimer la planification "${schedule.name}" et son historique ?`)) return;
+
+    try {
+      const res = await fetch(`/api/schedules/${schedule.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+
+      this._showToast(`Planification "${schedule.name}" supprimée`, 'success');
+      this.schedules = this.schedules.filter(s => s.id !== schedule.id);
+      this._editSchedule(this.schedules[0] || null);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // LAUNCH PROFILES
+  // =============================================
+
+  _bindProfilesEvents() {
+    const overlay = document.getElementById('profiles-modal-overlay');
+
+    document.getElementById('profiles-manage-btn').addEventListener('click', () => this._showProfilesModal());
+    document.getElementById('profiles-modal-close').addEventListener('click', () => this._hideProfilesModal());
+    document.getElementById('profiles-modal-close-btn').addEventListener('click', () => this._hideProfilesModal());
+    document.getElementById('profiles-add-btn').addEventListener('click', () => this._editProfile(null));
+    document.getElementById('profile-save').addEventListener('click', () => this._saveProfile());
+    document.getElementById('profile-delete').addEventListener('click', () => this._deleteProfile());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideProfilesModal();
+    });
+
+    // The project list launches with the selected profile, remembered across reloads
+    this.projectProfileSelect.addEventListener('change', () => {
+      this.selectedProfileId = this.projectProfileSelect.value;
+      localStorage.setItem('launchProfileId', this.selectedProfileId);
+    });
+  }
+
+  async _loadProfiles() {
+    try {
+      const res = await fetch('/api/profiles');
+      const data = await res.json();
+      this.launchProfiles = data.profiles || [];
+    } catch (error) {
+      console.error('Failed to load launch profiles:', error);
+      this.launchProfiles = [];
+    }
+
+    // Forget a selection whose profile was deleted
+    if (this.selectedProfileId && !this.launchProfiles.some(p => p.id === this.selectedProfileId)) {
+      this.selectedProfileId = '';
+      localStorage.removeItem('launchProfileId');
+    }
+
+    this._renderProfileSelects();
+  }
+
+  _renderProfileSelects() {
+    for (const select of [this.profileSelect, this.projectProfileSelect]) {
+      select.innerHTML = '';
+      select.appendChild(new Option('Profil par défaut', ''));
+      this.launchProfiles.forEach((profile) => {
+        select.appendChild(new Option(profile.name, profile.id));
+      });
+      select.value = this.selectedProfileId;
+    }
+  }
+
+  _showProfilesModal() {
+    document.getElementById('profiles-modal-overlay').classList.remove('hidden');
+    this._renderProfilesList();
+    this._editProfile(this.launchProfiles.find(p => p.id === this.selectedProfileId) || this.launchProfiles[0] || null);
+  }
+
+  _hideProfilesModal() {
+    document.getElementById('profiles-modal-overlay').classList.add('hidden');
+    this._editingProfile = null;
+  }
+
+  _renderProfilesList() {
+    const list = document.getElementById('profiles-list');
+    list.innerHTML = '';
+
+    if (this.launchProfiles.length === 0) {
+      list.innerHTML = '<li class="profiles-empty">Aucun profil</li>';
+      return;
+    }
+
+    this.launchProfiles.forEach((profile) => {
+      const li = document.createElement('li');
+      li.className = 'profile-list-item';
+      li.classList.toggle('active', this._editingProfile?.id === profile.id);
+      li.textContent = profile.name;
+      li.addEventListener('click', () => this._editProfile(profile));
+      list.appendChild(li);
+    });
+  }
+
+  _editProfile(profile) {
+    this._editingProfile = profile;
+
+    document.getElementById('profile-name').value = profile?.name || '';
+    document.getElementById('profile-model').value = profile?.model || '';
+    document.getElementById('profile-permission-mode').value = profile?.permissionMode || '';
+    document.getElementById('profile-skip-permissions').checked = Boolean(profile?.skipPermissions);
+    document.getElementById('profile-extra-args').value = (profile?.extraArgs || []).join(' ');
+    document.getElementById('profile-env').value = Object.entries(profile?.env || {})
+      .map(([key, value]) => `${key}=${value}`)
+      .join('\n');
+    document.getElementById('profile-initial-prompt').value = profile?.initialPrompt || '';
+    document.getElementById('profile-delete').classList.toggle('hidden', !profile);
+
+    this._renderProfilesList();
+    document.getElementById('profile-name').focus();
+  }
+
+  // Split a command line into arguments, honouring simple and double quotes
+  _parseArgs(text) {
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      args.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return args;
+  }
+
+  _parseEnv(text) {
+    const env = {};
+    for (const line of text.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+      const separator = trimmed.indexOf('=');
+      if (separator <= 0) {
+        throw new Error(`Variable invalide : ${trimmed}`);
+      }
+      env[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1);
+    }
+    return env;
+  }
+
+  async _saveProfile() {
+    let body;
+    try {
+      body = {
+        name: document.getElementById('profile-name').value.trim(),
+        model: document.getElementById('profile-model').value.trim(),
+        permissionMode: document.getElementById('profile-permission-mode').value,
+        skipPermissions: document.getElementById('profile-skip-permissions').checked,
+        extraArgs: this._parseArgs(document.getElementById('profile-extra-args').value),
+        env: this._parseEnv(document.getElementById('profile-env').value),
+        initialPrompt: document.getElementById('profile-initial-prompt').value,
+      };
+    } catch (error) {
+      this._showToast(error.message, 'error');
+      return;
+    }
+
+    if (!body.name) {
+      this._showToast('Le nom est requis', 'error');
+      return;
+    }
+
+    try {
+      const editing = this._editingProfile;
+      const res = await fetch(editing ? `/api/profiles/${editing.id}` : '/api/profiles', {
+        method: editing ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+
+      this._showToast(editing ? 'Profil mis à jour' : 'Profil créé', 'success');
+      await this._loadProfiles();
+      this._editProfile(this.launchProfiles.find(p => p.id === data.id) || null);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _deleteProfile() {
+    const profile = this._editingProfile;
+    if (!profile || !confirm(`Supprimer le profil "${profile.name}" ?`)) return;
+
+    try {
+      const res = await fetch(`/api/profiles/${profile.id}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+
+      this._showToast(`Profil "${profile.name}" supprimé`, 'success');
+      await this._loadProfiles();
+      this._editProfile(this.launchProfiles[0] || null);
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  // =============================================
+  // TRANSCRIPT EXPORT
+  // =============================================
+
+  _showExportMenu(id, anchor) {
+    this._hideExportMenu();
+
+    const menu = document.createElement('div');
+    menu.className = 'export-menu';
+    [
+      ['md', 'fa-brands fa-markdown', 'Markdown'],
+      ['html', 'fa-solid fa-code', 'HTML'],
+      ['txt', 'fa-solid fa-file-lines', 'Texte brut'],
+    ].forEach(([format, icon, label]) => {
+      const link = document.createElement('a');
+      link.className = 'export-menu-item';
+      link.href = `/api/instances/${id}/transcript?format=${format}&download=1`;
+      link.innerHTML = `<i class="${icon}"></i> ${label}`;
+      link.addEventListener('click', () => this._hideExportMenu());
+      menu.appendChild(link);
+    });
+
+    const rect = anchor.getBoundingClientRect();
+    menu.style.top = `${rect.bottom + 4}px`;
+    menu.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - 180))}px`;
+    document.body.appendChild(menu);
+    this.exportMenu = menu;
+
+    // Any click elsewhere closes it (registered after the click that opened it)
+    this._onExportMenuOutsideClick = (e) => {
+      if (!menu.contains(e.target)) this._hideExportMenu();
+    };
+    setTimeout(() => document.addEventListener('click', this._onExportMenuOutsideClick));
+  }
+
+  _hideExportMenu() {
+    if (!this.exportMenu) return;
+    this.exportMenu.remove();
+    this.exportMenu = null;
+    document.removeEventListener('click', this._onExportMenuOutsideClick);
+  }
+
+  // =============================================
+  // RECORDINGS
+  // =============================================
+
+  _bindRecordingsEvents() {
+    const overlay = document.getElementById('recordings-modal-overlay');
+
+    document.getElementById('recordings-btn').addEventListener('click', () => this._showRecordingsModal());
+    document.getElementById('recordings-modal-close').addEventListener('click', () => this._hideRecordingsModal());
+    document.getElementById('recordings-modal-close-btn').addEventListener('click', () => this._hideRecordingsModal());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this._hideRecordingsModal();
+    });
+  }
+
+  async _toggleRecording(id) {
+    const instance = this.instances.get(id);
+    if (!instance) return;
+
+    try {
+      const res = await fetch(`/api/instances/${id}/recording`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !instance.recording }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+
+      this._applyInstanceLabels(data);
+      this._showToast(data.recording ? 'Enregistrement démarré' : 'Enregistrement arrêté', 'success');
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _showRecordingsModal() {
+    document.getElementById('recordings-modal-overlay').classList.remove('hidden');
+    await this._loadRecordings();
+  }
+
+  _hideRecordingsModal() {
+    document.getElementById('recordings-modal-overlay').classList.add('hidden');
+  }
+
+  async _loadRecordings() {
+    const list = document.getElementById('recordings-list');
+    list.innerHTML = '<li class="recordings-empty">Chargement...</li>';
+
+    try {
+      const res = await fetch('/api/recordings');
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Erreur');
+      this._renderRecordingsList(data.recordings);
+    } catch (error) {
+      list.innerHTML = '';
+      const li = document.createElement('li');
+      li.className = 'recordings-empty';
+      li.textContent = `Erreur: ${error.message}`;
+      list.appendChild(li);
+    }
+  }
+
+  _renderRecordingsList(recordings) {
+    const list = document.getElementById('recordings-list');
+    list.innerHTML = '';
+
+    if (recordings.length === 0) {
+      list.innerHTML = '<li class="recordings-empty">Aucun enregistrement</li>';
+      return;
+    }
+
+    recordings.forEach((recording) => {
+      const li = document.createElement('li');
+      li.className = 'recording-item';
+      li.innerHTML = `
+        <div class="recording-info">
+          <span class="recording-title"></span>
+          <span class="recording-meta"></span>
+        </div>
+        <button class="btn-icon-sm recording-play" title="Rejouer">
+          <i class="fa-solid fa-play"></i>
+        </button>
+        <a class="btn-icon-sm recording-download" title="Télécharger" href="/api/recordings/${encodeURIComponent(recording.name)}?download=1">
+          <i class="fa-solid fa-download"></i>
+        </a>
+        <button class="btn-icon-sm recording-delete" title="Supprimer" ${recording.active ? 'disabled' : ''}>
+          <i class="fa-solid fa-trash"></i>
+        </button>
+      `;
+
+      // Titles come from instance names: set as text
+      li.querySelector('.recording-title').textContent = recording.title;
+      li.querySelector('.recording-meta').textContent = [
+        new Date(recording.startedAt).toLocaleString('fr-FR'),
+        this._formatDuration(recording.duration),
+        recording.active ? 'en cours' : null,
+      ].filter(Boolean).join(' · ');
+      li.classList.toggle('active', recording.active);
+
+      li.querySelector('.recording-play').addEventListener('click', () => {
+        this._hideRecordingsModal();
+        this._showReplayPanel(recording);
+      });
+      li.querySelector('.recording-delete').addEventListener('click', () => this._deleteRecording(recording));
+
+      list.appendChild(li);
+    });
+  }
+
+  async _deleteRecording(recording) {
+    if (!confirm(`Supprimer l'enregistrement "${recording.title}" ?`)) return;
+
+    try {
+      const res = await fetch(`/api/recordings/${encodeURIComponent(recording.name)}`, { method: 'DELETE' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error);
+
+      this._closeReplayTab('rec-' + recording.name.replace(/[^a-zA-Z0-9]/g, '-'));
+      this._showToast('Enregistrement supprimé', 'success');
+      await this._loadRecordings();
+    } catch (error) {
+      this._showToast(error.message, 'error');
+    }
+  }
+
+  async _showReplayPanel(recording) {
+    const tabId = 'rec-' + recording.name.replace(/[^a-zA-Z0-9]/g, '-');
+
+    // Already open: bring it to the front
+    if (this.replayPanels.has(tabId)) {
+      const existingSlotIndex = this._getSlotIndexForTab(tabId);
+      if (existingSlotIndex !== -1) {
+        this._activateTab(existingSlotIndex, tabId);
+      } else {
+        this._addTabToSlot(this.activeSlotIndex, tabId, true);
+      }
+      return;
+    }
+
+    let castText;
+    try {
+      const res = await fetch(`/api/recordings/${encodeURIComponent(recording.name)}`);
+      if (!res.ok) throw new Error((await res.json()).error || 'Erreur');
+      castText = await res.text();
+    } catch (error) {
+      this._showToast(error.message, 'error');
+      return;
+    }
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'replay-panel';
+    wrapper.innerHTML = `
+      <div class="replay-panel-header">
+        <button class="btn-icon-sm replay-play" title="Lecture / pause">
+          <i class="fa-solid fa-play"></i>
+        </button>
+        <input type="range" class="replay-progress" min="0" max="1000" value="0">
+        <span class="replay-time">0:00 / 0:00</span>
+        <select class="replay-speed" title="Vitesse">
+          <option value="0.5">0.5x</option>
+          <option value="1" selected>1x</option>
+          <option value="2">2x</option>
+          <option value="4">4x</option>
+          <option value="8">8x</option>
+        </select>
+      </div>
+      <div class="replay-panel-content"></div>
+    `;
+
+    const panel = {
+      id: tabId,
+      name: recording.name,
+      title: recording.title,
+      wrapper,
+      player: null,
+    };
+
+    this.replayPanels.set(tabId, panel);
+    this._addTabToSlot(this.activeSlotIndex, tabId, true);
+
+    try {
+      panel.player = new AsciicastPlayer(wrapper.querySelector('.replay-panel-content'), castText);
+    } catch (error) {
+      this._closeReplayTab(tabId);
+      this._showToast('Enregistrement illisible', 'error');
+      return;
+    }
+
+    const playBtn = wrapper.querySelector('.replay-play');
+    const progress = wrapper.querySelector('.replay-progress');
+    const timeEl = wrapper.querySelector('.replay-time');
+
+    panel.player.onProgress((time, duration) => {
+      playBtn.innerHTML = `<i class="fa-solid fa-${panel.player.playing ? 'pause' : 'play'}"></i>`;
+      if (!progress.matches(':active')) {
+        progress.value = duration > 0 ? Math.round((time / duration) * 1000) : 0;
+      }
+      timeEl.textContent = `${this._formatDuration(time)} / ${this._formatDuration(duration)}`;
+    });
+
+    playBtn.addEventListener('click', () => {
+      if (panel.player.playing) {
+        panel.player.pause();
+      } else {
+        panel.player.play();
+      }
+    });
+    progress.addEventListener('input', () => {
+      panel.player.seek((progress.value / 1000) * panel.player.duration);
+    });
+    wrapper.querySelector('.replay-speed').addEventListener('change', (e) => {
+      panel.player.setSpeed(Number(e.target.value));
+    });
+
+    panel.player.play();
+  }
+
+  _closeReplayTab(tabId) {
+    const panel = this.replayPanels.get(tabId);
+    if (!panel) return;
+
+    this._removeTabFromAllSlots(tabId);
+
+    panel.player?.dispose();
+    panel.wrapper.remove();
+    this.replayPanels.delete(tabId);
+
+    this._updateEmptyState();
+  }
+
+  // Seconds as m:ss (or h:mm:ss)
+  _formatDuration(seconds) {
+    const total = Math.floor(seconds || 0);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = String(total % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
 }
 
 // Initialize app
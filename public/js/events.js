@@ -0,0 +1,57 @@
+class EventStream {
+  constructor(options = {}) {
+    this.retryDelay = options.retryDelay || 2000;
+    this.ws = null;
+    this.closed = false;
+    this.listeners = new Map();
+  }
+
+  // Stays connected for the lifetime of the page, reconnecting after server restarts
+  connect() {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    this.ws = new WebSocket(`${protocol}//${window.location.host}/events`);
+
+    this.ws.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data);
+        this._emit(message.type, message);
+      } catch (e) {
+        console.error('Failed to parse event:', e);
+      }
+    };
+
+    this.ws.onclose = () => {
+      if (!this.closed) {
+        setTimeout(() => this.connect(), this.retryDelay);
+      }
+    };
+  }
+
+  on(type, callback) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, []);
+    }
+    this.listeners.get(type).push(callback);
+    return () => this.off(type, callback);
+  }
+
+  off(type, callback) {
+    const callbacks = this.listeners.get(type);
+    if (callbacks) {
+      this.listeners.set(type, callbacks.filter((cb) => cb !== callback));
+    }
+  }
+
+  _emit(type, data) {
+    (this.listeners.get(type) || []).forEach((callback) => callback(data));
+  }
+
+  close() {
+    this.closed = true;
+    if (this.ws) {
+      this.ws.close(1000, 'Client closed');
+    }
+  }
+}
+
+window.EventStream = EventStream;
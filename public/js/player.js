@@ -0,0 +1,140 @@
+// Pauses longer than this (in seconds) are shortened when replaying
+const IDLE_TIME_LIMIT = 2;
+
+/**
+ * Replays an asciicast v2 recording in a read-only xterm
+ */
+class AsciicastPlayer {
+  constructor(container, castText) {
+    const [headerLine, ...lines] = castText.split('\n');
+    this.header = JSON.parse(headerLine);
+    this.events = this._parseEvents(lines);
+    this.duration = this.events.length > 0 ? this.events[this.events.length - 1].time : 0;
+
+    this.speed = 1;
+    this.playing = false;
+    this.currentTime = 0;
+    this.index = 0;                      // Next event to apply
+    this._frame = null;
+    this._progressCallbacks = [];
+
+    this.terminal = new Terminal({
+      cols: this.header.width,
+      rows: this.header.height,
+      fontSize: 14,
+      fontFamily: 'Consolas, "Courier New", monospace',
+      scrollback: 10000,
+      theme: TERMINAL_THEME,
+      disableStdin: true,
+      cursorBlink: false,
+    });
+    this.terminal.open(container);
+  }
+
+  _parseEvents(lines) {
+    const events = [];
+    let lastTime = 0;
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (e) {
+        // Last line of a recording still being written
+        continue;
+      }
+      const [time, type, data] = event;
+      if (type !== 'o' && type !== 'r') continue;
+
+      skipped += Math.max(0, time - lastTime - IDLE_TIME_LIMIT);
+      lastTime = time;
+      events.push({ time: time - skipped, type, data });
+    }
+    return events;
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.index >= this.events.length) {
+      this.seek(0);
+    }
+    this.playing = true;
+    this._anchor();
+    this._frame = requestAnimationFrame(() => this._tick());
+    this._notify();
+  }
+
+  pause() {
+    this.playing = false;
+    cancelAnimationFrame(this._frame);
+    this._notify();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    if (this.playing) this._anchor();
+  }
+
+  seek(time) {
+    this.terminal.reset();
+    this.terminal.resize(this.header.width, this.header.height);
+    this.index = 0;
+    this.currentTime = Math.max(0, Math.min(time, this.duration));
+    this._applyUntil(this.currentTime);
+    if (this.playing) this._anchor();
+    this._notify();
+  }
+
+  onProgress(callback) {
+    this._progressCallbacks.push(callback);
+  }
+
+  // Wall-clock time at which the recording would have started at the current speed
+  _anchor() {
+    this._startedAt = performance.now() - (this.currentTime * 1000) / this.speed;
+  }
+
+  _tick() {
+    this.currentTime = Math.min(((performance.now() - this._startedAt) * this.speed) / 1000, this.duration);
+    this._applyUntil(this.currentTime);
+
+    if (this.index >= this.events.length) {
+      this.currentTime = this.duration;
+      this.pause();
+      return;
+    }
+    this._notify();
+    this._frame = requestAnimationFrame(() => this._tick());
+  }
+
+  // Write every event up to `time`, batching consecutive output
+  _applyUntil(time) {
+    let output = '';
+    while (this.index < this.events.length && this.events[this.index].time <= time) {
+      const event = this.events[this.index++];
+      if (event.type === 'o') {
+        output += event.data;
+      } else {
+        if (output) this.terminal.write(output);
+        output = '';
+        const [cols, rows] = event.data.split('x').map(Number);
+        if (cols && rows) this.terminal.resize(cols, rows);
+      }
+    }
+    if (output) this.terminal.write(output);
+  }
+
+  _notify() {
+    this._progressCallbacks.forEach((callback) => callback(this.currentTime, this.duration));
+  }
+
+  dispose() {
+    this.pause();
+    this._progressCallbacks = [];
+    this.terminal.dispose();
+  }
+}
+
+window.AsciicastPlayer = AsciicastPlayer;
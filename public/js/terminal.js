@@ -1,3 +1,28 @@
+// Catppuccin Mocha, shared with the recording player
+const TERMINAL_THEME = {
+  background: '#11111b',
+  foreground: '#cdd6f4',
+  cursor: '#f5e0dc',
+  cursorAccent: '#11111b',
+  selection: 'rgba(137, 180, 250, 0.3)',
+  black: '#45475a',
+  red: '#f38ba8',
+  green: '#a6e3a1',
+  yellow: '#f9e2af',
+  blue: '#89b4fa',
+  magenta: '#f5c2e7',
+  cyan: '#94e2d5',
+  white: '#bac2de',
+  brightBlack: '#585b70',
+  brightRed: '#f38ba8',
+  brightGreen: '#a6e3a1',
+  brightYellow: '#f9e2af',
+  brightBlue: '#89b4fa',
+  brightMagenta: '#f5c2e7',
+  brightCyan: '#94e2d5',
+  brightWhite: '#a6adc8',
+};
+
 class TerminalWrapper {
   constructor(container, options = {}) {
     this.container = container;
@@ -8,29 +33,7 @@ class TerminalWrapper {
       fontSize: 14,
       fontFamily: 'Consolas, "Courier New", monospace',
       scrollback: 10000,
-      theme: {
-        background: '#11111b',
-        foreground: '#cdd6f4',
-        cursor: '#f5e0dc',
-        cursorAccent: '#11111b',
-        selection: 'rgba(137, 180, 250, 0.3)',
-        black: '#45475a',
-        red: '#f38ba8',
-        green: '#a6e3a1',
-        yellow: '#f9e2af',
-        blue: '#89b4fa',
-        magenta: '#f5c2e7',
-        cyan: '#94e2d5',
-        white: '#bac2de',
-        brightBlack: '#585b70',
-        brightRed: '#f38ba8',
-        brightGreen: '#a6e3a1',
-        brightYellow: '#f9e2af',
-        brightBlue: '#89b4fa',
-        brightMagenta: '#f5c2e7',
-        brightCyan: '#94e2d5',
-        brightWhite: '#a6adc8',
-      },
+      theme: TERMINAL_THEME,
       allowProposedApi: true,
     });
 
@@ -150,6 +153,10 @@ class TerminalWrapper {
     this.terminal.write(data);
   }
 
+  reset() {
+    this.terminal.reset();
+  }
+
   onData(callback) {
     return this.terminal.onData(callback);
   }
@@ -170,6 +177,11 @@ class TerminalWrapper {
     this.terminal.scrollToBottom();
   }
 
+  // Viewers see the output but cannot type
+  setReadOnly(readOnly) {
+    this.terminal.options.disableStdin = readOnly;
+  }
+
   get cols() {
     return this.terminal.cols;
   }
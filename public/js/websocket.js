@@ -1,12 +1,17 @@
 class WebSocketManager {
   constructor(instanceId, options = {}) {
     this.instanceId = instanceId;
+    // Shown to the other clients attached to the instance
+    this.name = options.name || '';
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000;
     this.retryCount = 0;
     this.ws = null;
     this.listeners = {
+      replay: [],
       output: [],
+      state: [],
+      presence: [],
       exit: [],
       error: [],
       open: [],
@@ -17,7 +22,7 @@ class WebSocketManager {
   connect() {
     return new Promise((resolve, reject) => {
       const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-      const url = `${protocol}//${window.location.host}/terminal/${this.instanceId}`;
+      const url = `${protocol}//${window.location.host}/terminal/${this.instanceId}?name=${encodeURIComponent(this.name)}`;
 
       this.ws = new WebSocket(url);
 
@@ -71,6 +76,20 @@ class WebSocketManager {
     }
   }
 
+  // Become the controller: the only client whose input and size reach the instance
+  takeControl() {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'take-control' }));
+    }
+  }
+
+  rename(name) {
+    this.name = name;
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'rename', name }));
+    }
+  }
+
   on(event, callback) {
     if (this.listeners[event]) {
       this.listeners[event].push(callback);
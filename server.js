@@ -12,7 +12,28 @@ import multer from 'multer';
 import ffmpegPath from 'ffmpeg-static';
 import WaveFile from 'wavefile';
 import config from './src/config.js';
-import PtyManager from './src/pty-manager.js';
+import PtyHostClient from './src/pty-host-client.js';
+import LaunchProfiles from './src/launch-profiles.js';
+import { toInstanceInfo } from './src/pty-protocol.js';
+import StatusTracker from './src/status-tracker.js';
+import LaunchQueue from './src/launch-queue.js';
+import InstanceHistory from './src/instance-history.js';
+import Reaper from './src/reaper.js';
+import RestartSupervisor, { normalizeRestartPolicy } from './src/restart-supervisor.js';
+import ProcessSampler from './src/process-stats.js';
+import GitWatcher, { getGitState } from './src/git-watcher.js';
+import TerminalSessions from './src/terminal-sessions.js';
+import { typePrompt } from './src/prompt-input.js';
+import PromptQueue from './src/prompt-queue.js';
+import LimitResumer from './src/limit-resumer.js';
+import TokenUsageTracker from './src/token-usage.js';
+import BatchRunner from './src/batch-runner.js';
+import JobRunner from './src/job-runner.js';
+import Scheduler from './src/scheduler.js';
+import { getNextRuns } from './src/cron.js';
+import { sessionExists, listSessions, readSession } from './src/claude-sessions.js';
+import { listRecordings, getRecordingPath, deleteRecording } from './src/recordings.js';
+import { TRANSCRIPT_FORMATS, renderTranscript, getTranscriptFileName } from './src/transcript.js';
 import claudeUsage from './src/claude-usage.js';
 import { pipeline } from '@xenova/transformers';
 
@@ -23,7 +44,47 @@ const app = express();
 const server = createServer(app);
 const wss = new WebSocketServer({ server });
 
-const ptyManager = new PtyManager();
+// PTYs live in a separate host process (src/pty-host.js) that survives web server restarts
+const ptyManager = new PtyHostClient();
+const statusTracker = new StatusTracker(ptyManager);
+const launchQueue = new LaunchQueue(ptyManager);
+const instanceHistory = new InstanceHistory(ptyManager);
+const reaper = new Reaper(ptyManager, statusTracker, instanceHistory);
+const restartSupervisor = new RestartSupervisor(ptyManager, instanceHistory);
+const processSampler = new ProcessSampler(ptyManager);
+const gitWatcher = new GitWatcher(() => scanProjects(config.projectsRoot, config.projectMarker));
+const terminalSessions = new TerminalSessions();
+const promptQueue = new PromptQueue(ptyManager, statusTracker);
+const limitResumer = new LimitResumer(ptyManager, claudeUsage, instanceHistory);
+const tokenUsage = new TokenUsageTracker(ptyManager);
+const batchRunner = new BatchRunner();
+const jobRunner = new JobRunner();
+const launchProfiles = new LaunchProfiles();
+const scheduler = new Scheduler(jobRunner, launchProfiles);
+
+// Instance info as returned by the API, with its server-side status, prompt queue, limit resume and token usage
+const withState = (info) => ({
+  ...info,
+  ...statusTracker.get(info.id),
+  promptQueue: promptQueue.get(info.id),
+  limitResume: limitResumer.get(info.id),
+  tokenUsage: tokenUsage.get(info.id),
+});
+
+// A profile's initial prompt is typed in once Claude waits for input, never passed in argv:
+// on Windows claude may run through cmd.exe, which would re-parse it (&, |, %VAR%...)
+const initialPrompts = new Map();        // Queued launch id -> prompt to type once it starts
+
+async function launchClaude(cwd, options) {
+  const { initialPrompt, ...launchOptions } = options;
+  const result = await launchQueue.launch(cwd, 'claude', launchOptions);
+  if (initialPrompt && result.instance) {
+    promptQueue.add(result.instance.id, initialPrompt);
+  } else if (initialPrompt) {
+    initialPrompts.set(result.queued.id, initialPrompt);
+  }
+  return result;
+}
 
 // Configure image upload directory
 const uploadDir = join(tmpdir(), 'claude-code-ui-images');
@@ -63,7 +124,7 @@ app.use(express.static(join(__dirname, 'public')));
 
 // List all instances
 app.get('/api/instances', (req, res) => {
-  res.json({ instances: ptyManager.list() });
+  res.json({ instances: ptyManager.list().map(withState) });
 });
 
 // Get instance details
@@ -72,17 +133,100 @@ app.get('/api/instances/:id', (req, res) => {
   if (!instance) {
     return res.status(404).json({ error: 'Instance not found' });
   }
-  res.json({
-    id: instance.id,
-    cwd: instance.cwd,
-    type: instance.type || 'claude',
-    status: instance.status,
-    createdAt: instance.createdAt,
-  });
+  res.json(withState(toInstanceInfo(instance)));
+});
+
+// Update instance display name, note, color tag, pinning and restart policy
+app.patch('/api/instances/:id', async (req, res) => {
+  const { name, note, color, pinned, restartPolicy } = req.body;
+  const changes = {};
+
+  if (name !== undefined) {
+    if (name !== null && (typeof name !== 'string' || name.length > 100)) {
+      return res.status(400).json({ error: 'name must be a string of at most 100 characters' });
+    }
+    changes.name = name ? name.trim() : null;
+  }
+  if (note !== undefined) {
+    if (note !== null && (typeof note !== 'string' || note.length > 2000)) {
+      return res.status(400).json({ error: 'note must be a string of at most 2000 characters' });
+    }
+    changes.note = note || null;
+  }
+  if (color !== undefined) {
+    if (color && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+      return res.status(400).json({ error: 'color must be a #rrggbb hex color' });
+    }
+    changes.color = color || null;
+  }
+  if (pinned !== undefined) {
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json({ error: 'pinned must be a boolean' });
+    }
+    changes.pinned = pinned;
+  }
+  if (restartPolicy !== undefined) {
+    try {
+      changes.restartPolicy = normalizeRestartPolicy(restartPolicy);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  try {
+    const instance = await ptyManager.update(req.params.id, changes);
+    res.json(withState(instance));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Create new instance
-app.post('/api/instances', (req, res) => {
+app.post('/api/instances', async (req, res) => {
+  const { cwd, profileId } = req.body;
+
+  if (!cwd) {
+    return res.status(400).json({ error: 'cwd is required' });
+  }
+
+  // Validate path
+  if (!existsSync(cwd)) {
+    return res.status(400).json({ error: 'Directory does not exist' });
+  }
+
+  const stats = statSync(cwd);
+  if (!stats.isDirectory()) {
+    return res.status(400).json({ error: 'Path is not a directory' });
+  }
+
+  let profile = null;
+  if (profileId) {
+    profile = launchProfiles.get(profileId);
+    if (!profile) {
+      return res.status(400).json({ error: 'Unknown launch profile' });
+    }
+  }
+
+  try {
+    // Over the limit the launch is queued: 202 with its position and ETA
+    const { instance, queued } = await launchClaude(cwd, LaunchProfiles.toLaunchOptions(profile));
+    if (queued) {
+      return res.status(202).json({ queued });
+    }
+    res.status(201).json(withState(instance));
+  } catch (error) {
+    if (error.message.includes('Maximum instances')) {
+      return res.status(429).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create new shell instance (standard terminal)
+app.post('/api/shell-instances', async (req, res) => {
   const { cwd } = req.body;
 
   if (!cwd) {
@@ -100,55 +244,520 @@ app.post('/api/instances', (req, res) => {
   }
 
   try {
-    const instance = ptyManager.create(cwd);
-    res.status(201).json(instance);
+    const { instance, queued } = await launchQueue.launch(cwd, 'shell');
+    if (queued) {
+      return res.status(202).json({ queued });
+    }
+    res.status(201).json(withState(instance));
+  } catch (error) {
+    if (error.message.includes('Maximum instances')) {
+      return res.status(429).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// CPU, memory and process tree of an instance
+app.get('/api/instances/:id/stats', async (req, res) => {
+  const instance = ptyManager.get(req.params.id);
+  if (!instance) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+
+  try {
+    // Exited instances have no process left
+    const stats = await processSampler.get(req.params.id);
+    res.json(stats || { pid: instance.pid, cpu: 0, rss: 0, processes: [], sampledAt: null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Kill a child process of an instance (e.g. a runaway test suite), SIGTERM unless `signal` says otherwise
+app.post('/api/instances/:id/processes/:pid/kill', async (req, res) => {
+  const signal = req.body.signal || 'SIGTERM';
+  if (!['SIGTERM', 'SIGKILL', 'SIGINT'].includes(signal)) {
+    return res.status(400).json({ error: 'signal must be SIGTERM, SIGKILL or SIGINT' });
+  }
+
+  try {
+    await processSampler.kill(req.params.id, Number(req.params.pid), signal);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('Cannot kill')) {
+      return res.status(400).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Type the same input into several instances at once (and press Enter unless submit is false)
+app.post('/api/broadcast', async (req, res) => {
+  const { ids, text, submit = true } = req.body;
+
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every((id) => typeof id === 'string')) {
+    return res.status(400).json({ error: 'ids must be a non-empty array of instance ids' });
+  }
+  if (typeof text !== 'string' || (!text && !submit)) {
+    return res.status(400).json({ error: 'text is required' });
+  }
+
+  const sent = [];
+  const skipped = [];
+  await Promise.all([...new Set(ids)].map(async (id) => {
+    const instance = ptyManager.get(id);
+    if (!instance) {
+      skipped.push({ id, error: 'Instance not found' });
+      return;
+    }
+    if (instance.status === 'exited') {
+      skipped.push({ id, error: 'Instance has exited' });
+      return;
+    }
+    try {
+      await typePrompt(ptyManager, id, text, { submit: Boolean(submit) });
+      sent.push(id);
+    } catch (error) {
+      skipped.push({ id, error: error.message });
+    }
+  }));
+
+  res.json({ sent, skipped });
+});
+
+// Event log of a running instance (created, exited, restarts...)
+app.get('/api/instances/:id/events', (req, res) => {
+  if (!ptyManager.get(req.params.id)) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  res.json({ events: instanceHistory.getLog(req.params.id) });
+});
+
+// Ended instances, newest first, with why they ended
+app.get('/api/instance-history', (req, res) => {
+  res.json({ entries: instanceHistory.list() });
+});
+
+// Instance limit and launches waiting for a free slot
+app.get('/api/launch-queue', (req, res) => {
+  res.json(launchQueue.getState());
+});
+
+// Cancel a queued launch
+app.delete('/api/launch-queue/:id', (req, res) => {
+  try {
+    launchQueue.cancel(req.params.id);
+    initialPrompts.delete(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Delete instance
+app.delete('/api/instances/:id', async (req, res) => {
+  try {
+    await ptyManager.close(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stop the instance if it is running and start it again in place (same id, args and tab)
+app.post('/api/instances/:id/restart', async (req, res) => {
+  try {
+    const instance = await ptyManager.restart(req.params.id);
+    res.json(withState(instance));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('Maximum instances')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// New Claude instance continuing the same conversation in a session of its own
+app.post('/api/instances/:id/fork', async (req, res) => {
+  const source = ptyManager.get(req.params.id);
+  if (!source) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  if (source.type !== 'claude') {
+    return res.status(400).json({ error: 'Cannot fork a shell instance' });
+  }
+  if (!sessionExists(source.cwd, source.sessionId)) {
+    return res.status(409).json({ error: 'Cannot fork an instance before its conversation has started' });
+  }
+
+  try {
+    const { instance, queued } = await launchQueue.launch(source.cwd, 'claude', {
+      forkOf: source.id,
+      profileId: source.profileId,
+    });
+    if (queued) {
+      return res.status(202).json({ queued });
+    }
+    res.status(201).json(withState(instance));
+  } catch (error) {
+    if (error.message.includes('Maximum instances')) {
+      return res.status(429).json({ error: error.message });
+    }
+    // The source closed or changed since the checks above (the host checks again)
+    if (error.message.startsWith('Cannot fork')) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start or stop recording an instance to an asciicast file
+app.post('/api/instances/:id/recording', async (req, res) => {
+  try {
+    const instance = await ptyManager.setRecording(req.params.id, Boolean(req.body.enabled));
+    res.json(withState(instance));
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.includes('has exited')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export an instance's buffered output (?format=md|html|txt, ?download=1 to save it as a file)
+app.get('/api/instances/:id/transcript', (req, res) => {
+  const instance = ptyManager.get(req.params.id);
+  if (!instance) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+
+  const format = req.query.format || 'md';
+  if (!TRANSCRIPT_FORMATS[format]) {
+    return res.status(400).json({ error: 'format must be md, html or txt' });
+  }
+
+  try {
+    const info = toInstanceInfo(instance);
+    const body = renderTranscript(info, instance.scrollback.toString(), format, {
+      rows: info.rows,
+      cols: info.cols,
+    });
+    if (req.query.download) {
+      res.attachment(getTranscriptFileName(info, format));
+    }
+    res.type(TRANSCRIPT_FORMATS[format]).send(body);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================
+// PROMPT QUEUE
+// =============================================
+
+const sendPromptQueueError = (res, error) => {
+  if (error.message.includes('not found')) {
+    return res.status(404).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+};
+
+// Prompts typed in one by one whenever the instance waits for input
+app.get('/api/instances/:id/prompt-queue', (req, res) => {
+  if (!ptyManager.get(req.params.id)) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  res.json(promptQueue.get(req.params.id));
+});
+
+app.post('/api/instances/:id/prompt-queue', (req, res) => {
+  const { text } = req.body;
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'text is required' });
+  }
+  try {
+    const prompt = promptQueue.add(req.params.id, text);
+    res.status(201).json({ prompt, queue: promptQueue.get(req.params.id) });
+  } catch (error) {
+    sendPromptQueueError(res, error);
+  }
+});
+
+// Pause or resume the queue (it pauses by itself on a permission prompt)
+app.patch('/api/instances/:id/prompt-queue', (req, res) => {
+  const { paused } = req.body;
+  if (typeof paused !== 'boolean') {
+    return res.status(400).json({ error: 'paused must be a boolean' });
+  }
+  try {
+    promptQueue.setPaused(req.params.id, paused);
+    res.json(promptQueue.get(req.params.id));
+  } catch (error) {
+    sendPromptQueueError(res, error);
+  }
+});
+
+// Edit a queued prompt and/or move it to another position (0-based)
+app.patch('/api/instances/:id/prompt-queue/:promptId', (req, res) => {
+  const { text, position } = req.body;
+  if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+    return res.status(400).json({ error: 'text must be a non-empty string' });
+  }
+  if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    return res.status(400).json({ error: 'position must be a positive integer' });
+  }
+  try {
+    promptQueue.update(req.params.id, req.params.promptId, { text, position });
+    res.json(promptQueue.get(req.params.id));
+  } catch (error) {
+    sendPromptQueueError(res, error);
+  }
+});
+
+app.delete('/api/instances/:id/prompt-queue/:promptId', (req, res) => {
+  try {
+    promptQueue.remove(req.params.id, req.params.promptId);
+    res.json(promptQueue.get(req.params.id));
+  } catch (error) {
+    sendPromptQueueError(res, error);
+  }
+});
+
+// =============================================
+// LIMIT RESUME
+// =============================================
+
+// Opt in to resuming after the usage limit resets: { enabled, prompt } (prompt null: the default one)
+app.put('/api/instances/:id/limit-resume', (req, res) => {
+  const { enabled, prompt } = req.body;
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be a boolean' });
+  }
+  if (prompt !== undefined && prompt !== null && (typeof prompt !== 'string' || prompt.length > 2000)) {
+    return res.status(400).json({ error: 'prompt must be a string of at most 2000 characters' });
+  }
+
+  const instance = ptyManager.get(req.params.id);
+  if (!instance) {
+    return res.status(404).json({ error: 'Instance not found' });
+  }
+  if (instance.type === 'shell') {
+    return res.status(400).json({ error: 'Cannot resume a shell instance' });
+  }
+
+  res.json(limitResumer.configure(req.params.id, { enabled, prompt: prompt?.trim() }));
+});
+
+// Drop the pending resume; the instance stays opted in for the next limit
+app.delete('/api/instances/:id/limit-resume/pending', (req, res) => {
+  try {
+    limitResumer.cancel(req.params.id);
+    res.json(limitResumer.get(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// =============================================
+// SESSION HISTORY
+// =============================================
+
+// The instance a conversation is open in, if any
+const findSessionInstance = (cwd, sessionId) => ptyManager.list().find((i) => i.cwd === cwd && i.sessionId === sessionId);
+
+// Past Claude conversations of a directory (?cwd=), with the instance each one is open in
+app.get('/api/sessions', async (req, res) => {
+  const { cwd } = req.query;
+  if (!cwd) {
+    return res.status(400).json({ error: 'cwd query parameter is required' });
+  }
+
+  try {
+    const sessions = await listSessions(cwd);
+    res.json({
+      sessions: sessions.map((session) => ({ ...session, instanceId: findSessionInstance(cwd, session.id)?.id || null })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A past conversation parsed for the read-only viewer (?cwd=)
+app.get('/api/sessions/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
+  const { cwd } = req.query;
+  if (!cwd) {
+    return res.status(400).json({ error: 'cwd query parameter is required' });
+  }
+  if (!existsSync(cwd)) {
+    return res.status(404).json({ error: 'Directory not found' });
+  }
+  if (!/^[\w-]+$/.test(sessionId) || !sessionExists(cwd, sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  try {
+    const session = await readSession(cwd, sessionId);
+    res.json({ ...session, cwd, instanceId: findSessionInstance(cwd, sessionId)?.id || null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// New instance continuing a past conversation (`claude --resume`): { cwd, profileId }
+app.post('/api/sessions/:sessionId/resume', async (req, res) => {
+  const { sessionId } = req.params;
+  const { cwd, profileId } = req.body;
+
+  if (!cwd) {
+    return res.status(400).json({ error: 'cwd is required' });
+  }
+  if (!/^[\w-]+$/.test(sessionId) || !sessionExists(cwd, sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (!existsSync(cwd) || !statSync(cwd).isDirectory()) {
+    return res.status(400).json({ error: 'Path is not a directory' });
+  }
+  // Two processes appending to the same log would interleave the conversation
+  const open = findSessionInstance(cwd, sessionId);
+  if (open) {
+    return res.status(409).json({ error: 'Session is already open in an instance', instanceId: open.id });
+  }
+  const queuedResume = launchQueue.find((entry) => entry.cwd === cwd && entry.options.sessionId === sessionId);
+  if (queuedResume) {
+    return res.status(409).json({ error: 'Session is already queued to resume', queuedId: queuedResume.id });
+  }
+
+  let profile = null;
+  if (profileId) {
+    profile = launchProfiles.get(profileId);
+    if (!profile) {
+      return res.status(400).json({ error: 'Unknown launch profile' });
+    }
+  }
+
+  try {
+    const { instance, queued } = await launchQueue.launch(cwd, 'claude', {
+      ...LaunchProfiles.toLaunchOptions(profile),
+      sessionId,
+      resume: true,
+    });
+    if (queued) {
+      return res.status(202).json({ queued });
+    }
+    res.status(201).json(withState(instance));
+  } catch (error) {
+    if (error.message.includes('Maximum instances')) {
+      return res.status(409).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============================================
+// RECORDINGS API
+// =============================================
+
+// List asciicast recordings, flagging the ones still being written
+app.get('/api/recordings', (req, res) => {
+  try {
+    const active = new Set(ptyManager.list().map((instance) => instance.recording).filter(Boolean));
+    const recordings = listRecordings().map((recording) => ({
+      ...recording,
+      active: active.has(recording.name),
+    }));
+    res.json({ recordings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a recording (?download=1 to save it as a file)
+app.get('/api/recordings/:name', (req, res) => {
+  try {
+    const filePath = getRecordingPath(req.params.name);
+    if (req.query.download) {
+      return res.download(filePath, req.params.name);
+    }
+    res.type('application/x-asciicast').sendFile(filePath);
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delete a recording
+app.delete('/api/recordings/:name', (req, res) => {
+  if (ptyManager.list().some((instance) => instance.recording === req.params.name)) {
+    return res.status(409).json({ error: 'Recording is still in progress' });
+  }
+  try {
+    deleteRecording(req.params.name);
+    res.json({ success: true });
   } catch (error) {
-    if (error.message.includes('Maximum instances')) {
-      return res.status(429).json({ error: error.message });
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
     }
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// Create new shell instance (standard terminal)
-app.post('/api/shell-instances', (req, res) => {
-  const { cwd } = req.body;
-
-  if (!cwd) {
-    return res.status(400).json({ error: 'cwd is required' });
-  }
+// =============================================
+// LAUNCH PROFILES API
+// =============================================
 
-  // Validate path
-  if (!existsSync(cwd)) {
-    return res.status(400).json({ error: 'Directory does not exist' });
-  }
+// List launch profiles
+app.get('/api/profiles', (req, res) => {
+  res.json({ profiles: launchProfiles.list() });
+});
 
-  const stats = statSync(cwd);
-  if (!stats.isDirectory()) {
-    return res.status(400).json({ error: 'Path is not a directory' });
+// Create a launch profile
+app.post('/api/profiles', (req, res) => {
+  try {
+    const profile = launchProfiles.create(req.body);
+    res.status(201).json(profile);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
+});
 
+// Update a launch profile
+app.put('/api/profiles/:id', (req, res) => {
   try {
-    const instance = ptyManager.createShell(cwd);
-    res.status(201).json(instance);
+    const profile = launchProfiles.update(req.params.id, req.body);
+    res.json(profile);
   } catch (error) {
-    if (error.message.includes('Maximum instances')) {
-      return res.status(429).json({ error: error.message });
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
     }
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
-// Delete instance
-app.delete('/api/instances/:id', async (req, res) => {
+// Delete a launch profile
+app.delete('/api/profiles/:id', (req, res) => {
   try {
-    await ptyManager.close(req.params.id);
+    launchProfiles.delete(req.params.id);
     res.json({ success: true });
   } catch (error) {
-    if (error.message.includes('not found')) {
-      return res.status(404).json({ error: error.message });
-    }
-    res.status(500).json({ error: error.message });
+    res.status(404).json({ error: error.message });
   }
 });
 
@@ -197,6 +806,220 @@ app.get('/api/projects', (req, res) => {
   }
 });
 
+// =============================================
+// BATCH RUNS API
+// =============================================
+
+// Batches of headless runs, newest first, without their output
+app.get('/api/batches', (req, res) => {
+  res.json({ batches: batchRunner.list() });
+});
+
+// Run a prompt with `claude -p` in each of `projects` (paths), optionally with a launch profile
+app.post('/api/batches', (req, res) => {
+  const { prompt, projects, profileId } = req.body;
+
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return res.status(400).json({ error: 'prompt is required' });
+  }
+  if (!Array.isArray(projects) || projects.length === 0) {
+    return res.status(400).json({ error: 'projects must be a non-empty array of paths' });
+  }
+  const detected = scanProjects(config.projectsRoot, config.projectMarker);
+  const unknown = projects.find((path) => !detected.some((project) => project.path === path));
+  if (unknown !== undefined) {
+    return res.status(400).json({ error: `Not a detected project: ${unknown}` });
+  }
+
+  let profile = null;
+  if (profileId) {
+    profile = launchProfiles.get(profileId);
+    if (!profile) {
+      return res.status(400).json({ error: 'Unknown launch profile' });
+    }
+  }
+
+  try {
+    const batch = batchRunner.start(prompt, [...new Set(projects)], LaunchProfiles.toLaunchOptions(profile));
+    res.status(201).json(batch);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A batch with each run's status, exit code and output
+app.get('/api/batches/:id', (req, res) => {
+  try {
+    res.json(batchRunner.get(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.post('/api/batches/:id/cancel', (req, res) => {
+  try {
+    batchRunner.cancel(req.params.id);
+    res.json(batchRunner.get(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.delete('/api/batches/:id', (req, res) => {
+  try {
+    batchRunner.delete(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// =============================================
+// JOBS API
+// =============================================
+
+// Jobs, newest first, without their messages
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: jobRunner.list() });
+});
+
+// Run a prompt headless in `cwd`, optionally with a launch profile; follow it on /jobs/:id
+app.post('/api/jobs', (req, res) => {
+  const { cwd, prompt, profileId } = req.body;
+
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    return res.status(400).json({ error: 'prompt is required' });
+  }
+  if (!cwd) {
+    return res.status(400).json({ error: 'cwd is required' });
+  }
+  if (!existsSync(cwd) || !statSync(cwd).isDirectory()) {
+    return res.status(400).json({ error: 'Path is not a directory' });
+  }
+
+  let profile = null;
+  if (profileId) {
+    profile = launchProfiles.get(profileId);
+    if (!profile) {
+      return res.status(400).json({ error: 'Unknown launch profile' });
+    }
+  }
+
+  try {
+    const job = jobRunner.start(cwd, prompt, LaunchProfiles.toLaunchOptions(profile));
+    res.status(201).json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A job with its messages, tool calls, result and cost
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    res.json(jobRunner.get(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  try {
+    jobRunner.cancel(req.params.id);
+    res.json(jobRunner.get(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  try {
+    jobRunner.delete(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.message.includes('not found')) {
+      return res.status(404).json({ error: error.message });
+    }
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// =============================================
+// SCHEDULES API
+// =============================================
+
+// Check the project and launch profile of a schedule; returns an error message or null
+function validateSchedule({ project, profileId }) {
+  if (project !== undefined && !scanProjects(config.projectsRoot, config.projectMarker).some((p) => p.path === project)) {
+    return 'project must be one of the detected projects';
+  }
+  if (profileId && !launchProfiles.get(profileId)) {
+    return 'Unknown launch profile';
+  }
+  return null;
+}
+
+app.get('/api/schedules', (req, res) => {
+  res.json({ schedules: scheduler.list() });
+});
+
+// Next run times of a cron expression, to check it before saving
+app.get('/api/schedules/preview', (req, res) => {
+  try {
+    res.json({ nextRuns: getNextRuns(req.query.cron, 5) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// { name, project, cron, prompt, profileId, enabled }
+app.post('/api/schedules', (req, res) => {
+  const error = validateSchedule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.status(201).json(scheduler.create(req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch('/api/schedules/:id', (req, res) => {
+  const error = validateSchedule(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    res.json(scheduler.update(req.params.id, req.body));
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+app.delete('/api/schedules/:id', (req, res) => {
+  try {
+    scheduler.delete(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// Run a schedule now; the run is also a job
+app.post('/api/schedules/:id/run', (req, res) => {
+  try {
+    res.status(201).json(scheduler.run(req.params.id));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
 // =============================================
 // GIT SYNC API
 // =============================================
@@ -205,65 +1028,45 @@ app.get('/api/projects', (req, res) => {
 app.post('/api/projects/git-sync', async (req, res) => {
   try {
     const projects = scanProjects(config.projectsRoot, config.projectMarker);
+    projects.forEach(project => broadcastEvent('git-status', { path: project.path, status: 'syncing', message: null }));
     const results = await Promise.allSettled(projects.map(async project => {
-      const gitDir = join(project.path, '.git');
-      if (!existsSync(gitDir)) {
-        return { path: project.path, name: project.name, status: 'not-git', message: null };
-      }
-      try {
-        const { stdout } = await execFileAsync('git', ['pull'], { cwd: project.path, encoding: 'utf-8', timeout: 15000, windowsHide: true });
-        const trimmed = stdout.trim();
-        if (trimmed.includes('Already up to date') || trimmed.includes('Already up-to-date')) {
-          return { path: project.path, name: project.name, status: 'up-to-date', message: trimmed };
-        }
-        return { path: project.path, name: project.name, status: 'updated', message: trimmed };
-      } catch (error) {
-        return { path: project.path, name: project.name, status: 'error', message: error.stderr || error.message };
-      }
+      const result = await pullProject(project);
+      broadcastEvent('git-status', result);
+      return result;
     }));
+    gitWatcher.check();
     res.json({ results: results.map(r => r.status === 'fulfilled' ? r.value : { status: 'error', message: r.reason?.message }) });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// git pull one project, returning { path, name, status, message }
+async function pullProject(project) {
+  const gitDir = join(project.path, '.git');
+  if (!existsSync(gitDir)) {
+    return { path: project.path, name: project.name, status: 'not-git', message: null };
+  }
+  try {
+    const { stdout } = await execFileAsync('git', ['pull'], { cwd: project.path, encoding: 'utf-8', timeout: 15000, windowsHide: true });
+    const trimmed = stdout.trim();
+    if (trimmed.includes('Already up to date') || trimmed.includes('Already up-to-date')) {
+      return { path: project.path, name: project.name, status: 'up-to-date', message: trimmed };
+    }
+    return { path: project.path, name: project.name, status: 'updated', message: trimmed };
+  } catch (error) {
+    return { path: project.path, name: project.name, status: 'error', message: error.stderr || error.message };
+  }
+}
+
 // Get git status for all projects
-app.get('/api/projects/git-status', (req, res) => {
+app.get('/api/projects/git-status', async (req, res) => {
   try {
     const projects = scanProjects(config.projectsRoot, config.projectMarker);
-    const results = projects.map(project => {
-      const gitDir = join(project.path, '.git');
-      if (!existsSync(gitDir)) {
-        return { path: project.path, name: project.name, isGit: false };
-      }
-      try {
-        // Get branch name
-        let branch = '';
-        try {
-          branch = execSync('git rev-parse --abbrev-ref HEAD', { cwd: project.path, encoding: 'utf-8', timeout: 5000 }).trim();
-        } catch (e) {}
-
-        // Check ahead/behind
-        let ahead = 0, behind = 0;
-        try {
-          const counts = execSync('git rev-list --count --left-right HEAD...@{upstream}', { cwd: project.path, encoding: 'utf-8', timeout: 5000 }).trim();
-          const parts = counts.split('\t');
-          ahead = parseInt(parts[0]) || 0;
-          behind = parseInt(parts[1]) || 0;
-        } catch (e) {}
-
-        // Check dirty state
-        let dirty = false;
-        try {
-          const status = execSync('git status --porcelain', { cwd: project.path, encoding: 'utf-8', timeout: 5000 }).trim();
-          dirty = status.length > 0;
-        } catch (e) {}
-
-        return { path: project.path, name: project.name, isGit: true, branch, ahead, behind, dirty };
-      } catch (error) {
-        return { path: project.path, name: project.name, isGit: true, branch: '', ahead: 0, behind: 0, dirty: false, error: error.message };
-      }
-    });
+    const results = [];
+    for (const project of projects) {
+      results.push({ path: project.path, name: project.name, ...await getGitState(project.path) });
+    }
     res.json({ results });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -287,17 +1090,15 @@ app.post('/api/projects/git-pull', async (req, res) => {
     return res.status(400).json({ error: 'Not a git repository' });
   }
 
-  try {
-    const { stdout } = await execFileAsync('git', ['pull'], { cwd: projectPath, encoding: 'utf-8', timeout: 15000, windowsHide: true });
-    const trimmed = stdout.trim();
-    if (trimmed.includes('Already up to date') || trimmed.includes('Already up-to-date')) {
-      res.json({ status: 'up-to-date', message: trimmed });
-    } else {
-      res.json({ status: 'updated', message: trimmed });
-    }
-  } catch (error) {
-    res.status(500).json({ status: 'error', message: error.stderr || error.message });
+  broadcastEvent('git-status', { path: projectPath, status: 'syncing', message: null });
+  const result = await pullProject({ path: projectPath, name: projectPath.split(/[/\\]/).pop() });
+  broadcastEvent('git-status', result);
+  gitWatcher.check();
+
+  if (result.status === 'error') {
+    return res.status(500).json({ status: 'error', message: result.message });
   }
+  res.json({ status: result.status, message: result.message });
 });
 
 // List markdown files in a project
@@ -1217,6 +2018,15 @@ app.get('/api/usage', async (req, res) => {
   }
 });
 
+// Tokens and estimated cost per project and day, from the session logs of instances (?days=30)
+app.get('/api/usage/projects', (req, res) => {
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1) {
+    return res.status(400).json({ error: 'days must be a positive integer' });
+  }
+  res.json({ projects: tokenUsage.report({ days }) });
+});
+
 // Get cookie status
 app.get('/api/cookie/status', (req, res) => {
   res.json(claudeUsage.getCookieStatus());
@@ -1363,6 +2173,7 @@ app.post('/api/cookie', (req, res) => {
   }
   claudeUsage.setCookie(cookie);
   res.json({ success: true, message: 'Cookie saved' });
+  refreshUsage();
 });
 
 // Server control - Shutdown
@@ -1371,7 +2182,8 @@ app.post('/api/server/shutdown', async (req, res) => {
   // Give time for response to be sent
   setTimeout(async () => {
     console.log('\nShutdown requested via API...');
-    await ptyManager.closeAll();
+    // Stops the PTY host too; instances are restored at next startup
+    await ptyManager.shutdownHost().catch((error) => console.error('PTY host shutdown failed:', error.message));
 
     // Close all WebSocket connections
     wss.clients.forEach(client => client.close());
@@ -1395,7 +2207,8 @@ app.post('/api/server/restart', async (req, res) => {
   // Give time for response to be sent
   setTimeout(async () => {
     console.log('\nRestarting server...');
-    await ptyManager.closeAll();
+    // Instances keep running in the PTY host
+    ptyManager.disconnect();
 
     // Close all WebSocket connections
     wss.clients.forEach(client => client.close());
@@ -1421,11 +2234,161 @@ app.post('/api/server/restart', async (req, res) => {
   }, 300);
 });
 
+// =============================================
+// EVENTS WEBSOCKET
+// =============================================
+
+// Clients connected to /events, notified of everything that changes server-side
+const eventClients = new Set();
+let lastUsage = null;
+
+function broadcastEvent(type, payload = {}) {
+  const message = JSON.stringify({ type, ...payload });
+  eventClients.forEach((client) => {
+    if (client.readyState === client.OPEN) {
+      client.send(message);
+    }
+  });
+}
+
+ptyManager.events.on('created', (info) => broadcastEvent('instance-created', { instance: withState(info) }));
+ptyManager.events.on('updated', (info) => broadcastEvent('instance-updated', { instance: withState(info) }));
+ptyManager.events.on('exit', (id, code) => broadcastEvent('instance-exited', { id, code }));
+ptyManager.events.on('respawned', (info) => broadcastEvent('instance-respawned', { instance: withState(info) }));
+ptyManager.events.on('closed', (id) => broadcastEvent('instance-closed', { id }));
+statusTracker.events.on('change', (id, state, previousState) => {
+  broadcastEvent('instance-status', { id, previousState, ...statusTracker.get(id) });
+});
+reaper.events.on('warning', (info, closesAt) => broadcastEvent('instance-reap-warning', { instance: info, closesAt }));
+reaper.events.on('reaped', (info, reason) => broadcastEvent('instance-reaped', { instance: info, reason }));
+instanceHistory.events.on('logged', (id, event) => broadcastEvent('instance-event', { id, event }));
+restartSupervisor.events.on('scheduled', (id, restart) => broadcastEvent('instance-restart-scheduled', { id, ...restart }));
+restartSupervisor.events.on('abandoned', (id, attempts) => broadcastEvent('instance-restart-abandoned', { id, attempts }));
+restartSupervisor.events.on('failed', (id, error) => broadcastEvent('instance-restart-failed', { id, error: error.message }));
+promptQueue.events.on('change', (id, queue) => broadcastEvent('prompt-queue', { id, queue }));
+promptQueue.events.on('delivered', (id, prompt) => broadcastEvent('prompt-delivered', { id, prompt }));
+limitResumer.events.on('change', (id, limitResume) => broadcastEvent('limit-resume', { id, limitResume }));
+tokenUsage.events.on('change', (id, usage) => broadcastEvent('token-usage', { id, usage }));
+batchRunner.events.on('change', (batch) => broadcastEvent('batch', { batch }));
+batchRunner.events.on('output', (batchId, runIndex, chunk) => broadcastEvent('batch-output', { batchId, runIndex, chunk }));
+jobRunner.events.on('change', (job) => broadcastEvent('job', { job }));
+jobRunner.events.on('message', (jobId, index, message) => broadcastEvent('job-message', { jobId, index, message }));
+scheduler.events.on('change', (schedule) => broadcastEvent('schedule', { schedule }));
+processSampler.events.on('stats', (stats) => broadcastEvent('instance-stats', { stats }));
+gitWatcher.events.on('change', (path, state) => broadcastEvent('git-state', { path, state }));
+launchQueue.events.on('change', (state) => broadcastEvent('launch-queue', state));
+launchQueue.events.on('started', (entry, instance) => {
+  if (initialPrompts.has(entry.id)) {
+    promptQueue.add(instance.id, initialPrompts.get(entry.id));
+    initialPrompts.delete(entry.id);
+  }
+  broadcastEvent('launch-started', { entry, instance: withState(instance) });
+});
+launchQueue.events.on('failed', (entry, error) => {
+  initialPrompts.delete(entry.id);
+  broadcastEvent('launch-failed', { entry, error: error.message });
+});
+
+// Fetch usage and broadcast it when it changed
+async function refreshUsage() {
+  try {
+    const { cached, ...usage } = await claudeUsage.getUsage();
+    if (JSON.stringify(usage) !== JSON.stringify(lastUsage)) {
+      lastUsage = usage;
+      broadcastEvent('usage', { usage });
+    }
+  } catch (error) {
+    console.error('Usage refresh failed:', error.message);
+  }
+}
+
+// Only poll claude.ai while someone is watching
+setInterval(() => {
+  if (eventClients.size > 0) refreshUsage();
+}, config.usageRefreshInterval);
+
+function handleEventsConnection(ws) {
+  eventClients.add(ws);
+  processSampler.start();
+  gitWatcher.start();
+
+  // Snapshot so (re)connecting clients can reconcile with what they missed
+  ws.send(JSON.stringify({ type: 'instances', instances: ptyManager.list().map(withState) }));
+  ws.send(JSON.stringify({ type: 'launch-queue', ...launchQueue.getState() }));
+  ws.send(JSON.stringify({ type: 'git-states', states: gitWatcher.list() }));
+  if (lastUsage) {
+    ws.send(JSON.stringify({ type: 'usage', usage: lastUsage }));
+  } else {
+    refreshUsage();
+  }
+
+  ws.on('close', () => {
+    eventClients.delete(ws);
+    // Only sample processes and poll git while someone is watching
+    if (eventClients.size === 0) {
+      processSampler.stop();
+      gitWatcher.stop();
+    }
+  });
+  ws.on('error', (error) => console.error('Events WebSocket error:', error));
+}
+
+// Live stream of a job: the job so far, then its messages and changes, closed once it finished
+function handleJobConnection(ws, jobId) {
+  let job;
+  try {
+    job = jobRunner.get(jobId);
+  } catch {
+    ws.close(4001, 'Job not found');
+    return;
+  }
+
+  ws.send(JSON.stringify({ type: 'job', job }));
+  if (!['queued', 'running'].includes(job.status)) {
+    ws.close(1000, 'Job finished');
+    return;
+  }
+
+  const messageListener = (id, index, message) => {
+    if (id === jobId && ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ type: 'message', index, message }));
+    }
+  };
+  const changeListener = (summary) => {
+    if (summary.id !== jobId || ws.readyState !== ws.OPEN) return;
+    if (['queued', 'running'].includes(summary.status)) {
+      ws.send(JSON.stringify({ type: 'job', job: summary }));
+    } else {
+      ws.send(JSON.stringify({ type: 'job', job: jobRunner.get(jobId) }));
+      ws.close(1000, 'Job finished');
+    }
+  };
+  jobRunner.events.on('message', messageListener);
+  jobRunner.events.on('change', changeListener);
+
+  ws.on('close', () => {
+    jobRunner.events.off('message', messageListener);
+    jobRunner.events.off('change', changeListener);
+  });
+  ws.on('error', (error) => console.error('Job WebSocket error:', error));
+}
+
 // WebSocket handling
 wss.on('connection', (ws, req) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   const pathParts = url.pathname.split('/');
 
+  if (pathParts[1] === 'events') {
+    handleEventsConnection(ws);
+    return;
+  }
+
+  // /jobs/:jobId
+  if (pathParts[1] === 'jobs' && pathParts[2]) {
+    handleJobConnection(ws, pathParts[2]);
+    return;
+  }
+
   // Expected path: /terminal/:instanceId
   if (pathParts[1] !== 'terminal' || !pathParts[2]) {
     ws.close(4000, 'Invalid path');
@@ -1440,7 +2403,25 @@ wss.on('connection', (ws, req) => {
     return;
   }
 
-  // Send current output on connection
+  // Replay buffered output first so a refresh or reconnect shows the same screen
+  ws.send(JSON.stringify({ type: 'replay', data: ptyManager.getScrollback(instanceId) }));
+
+  // Only the controller's input and resizes reach the PTY; everyone gets the presence list
+  const client = terminalSessions.attach(instanceId, url.searchParams.get('name'));
+  const sendPresence = () => {
+    if (ws.readyState === ws.OPEN) {
+      const clients = terminalSessions.list(instanceId);
+      const role = clients.find((c) => c.id === client.id)?.role;
+      ws.send(JSON.stringify({ type: 'presence', clientId: client.id, role, clients }));
+    }
+  };
+  const presenceListener = (id) => {
+    if (id === instanceId) sendPresence();
+  };
+  terminalSessions.events.on('change', presenceListener);
+  sendPresence();
+
+  // Then stream live output
   const dataDisposable = ptyManager.onData(instanceId, (data) => {
     if (ws.readyState === ws.OPEN) {
       ws.send(JSON.stringify({ type: 'output', data }));
@@ -1455,17 +2436,44 @@ wss.on('connection', (ws, req) => {
   };
   ptyManager.addListener(instanceId, exitListener);
 
+  // Push server-side status changes, starting with the current one
+  const sendState = () => {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ type: 'state', ...statusTracker.get(instanceId) }));
+    }
+  };
+  const stateListener = (id) => {
+    if (id === instanceId) sendState();
+  };
+  sendState();
+  statusTracker.events.on('change', stateListener);
+
   // Handle incoming messages
   ws.on('message', (message) => {
     try {
       const msg = JSON.parse(message.toString());
 
+      // Handshake messages, also valid for viewers and exited instances
+      switch (msg.type) {
+        case 'take-control':
+          terminalSessions.takeControl(instanceId, client.id);
+          return;
+        case 'rename':
+          terminalSessions.rename(instanceId, client.id, msg.name);
+          return;
+      }
+
       // Check if instance still exists
       const currentInstance = ptyManager.get(instanceId);
       if (!currentInstance || currentInstance.status === 'exited') {
         return;
       }
 
+      // Viewers are read-only
+      if (!terminalSessions.isController(instanceId, client.id)) {
+        return;
+      }
+
       switch (msg.type) {
         case 'input':
           ptyManager.write(instanceId, msg.data);
@@ -1493,6 +2501,9 @@ wss.on('connection', (ws, req) => {
   ws.on('close', () => {
     dataDisposable.dispose();
     ptyManager.removeListener(instanceId, exitListener);
+    statusTracker.events.off('change', stateListener);
+    terminalSessions.events.off('change', presenceListener);
+    terminalSessions.detach(instanceId, client.id);
   });
 
   ws.on('error', (error) => {
@@ -1500,11 +2511,18 @@ wss.on('connection', (ws, req) => {
   });
 });
 
-// Graceful shutdown
+// Graceful shutdown (instances keep running in the PTY host)
 const shutdown = async () => {
   console.log('\nShutting down...');
 
-  await ptyManager.closeAll();
+  reaper.stop();
+  scheduler.stop();
+  limitResumer.stop();
+  tokenUsage.stop();
+  restartSupervisor.stop();
+  processSampler.stop();
+  gitWatcher.stop();
+  ptyManager.disconnect();
 
   server.close(() => {
     console.log('Server closed');
@@ -1521,6 +2539,10 @@ const shutdown = async () => {
 process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 
+// Attach to the PTY host (started on demand, it restores the instances of the last session)
+await ptyManager.connect();
+console.log(`Connected to PTY host (${ptyManager.list().length} instance(s) running)`);
+
 // Start server
 server.listen(config.port, config.host, () => {
   console.log(`Claude Code UI running on http://${config.host}:${config.port}`);
@@ -0,0 +1,286 @@
+// CSI (colors, cursor moves), OSC (titles, hyperlinks) and the remaining two-byte escapes
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[()][0-9A-Za-z]|\x1b[@-Z\\-_=>78]/g;
+
+// Same sequences split into CSI (params, final byte), ignored escapes, two-byte escapes, text runs and control characters
+const TOKEN_PATTERN = /\x1b\[([0-?]*)[ -/]*([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[()][0-9A-Za-z]|\x1b([@-Z\\-_=>78c])|([^\x00-\x1f\x7f]+)|([\s\S])/g;
+
+// Catppuccin Mocha, as in the web terminal (public/js/terminal.js)
+const PALETTE = [
+  '#45475a', '#f38ba8', '#a6e3a1', '#f9e2af', '#89b4fa', '#f5c2e7', '#94e2d5', '#bac2de',
+  '#585b70', '#f38ba8', '#a6e3a1', '#f9e2af', '#89b4fa', '#f5c2e7', '#94e2d5', '#a6adc8',
+];
+export const DEFAULT_FOREGROUND = '#cdd6f4';
+export const DEFAULT_BACKGROUND = '#11111b';
+
+const DEFAULT_STYLE = Object.freeze({});
+
+/**
+ * Remove terminal escape sequences and stray control characters from PTY output
+ */
+export function stripAnsi(text) {
+  return text
+    .replace(ANSI_PATTERN, '')
+    .replace(/\r\n/g, '\n')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+function color256(index) {
+  if (index < 16) return PALETTE[index];
+  if (index < 232) {
+    const levels = [0, 95, 135, 175, 215, 255];
+    const n = index - 16;
+    return rgb(levels[Math.floor(n / 36)], levels[Math.floor(n / 6) % 6], levels[n % 6]);
+  }
+  const gray = 8 + (index - 232) * 10;
+  return rgb(gray, gray, gray);
+}
+
+function rgb(r, g, b) {
+  return '#' + [r, g, b].map((value) => Math.min(255, value || 0).toString(16).padStart(2, '0')).join('');
+}
+
+// Apply an SGR ("m") sequence to the current style
+function applySgr(style, params) {
+  const codes = params ? params.split(/[;:]/).map(Number) : [0];
+  let next = { ...style };
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+    if (code === 0) next = {};
+    else if (code === 1) next.bold = true;
+    else if (code === 2) next.dim = true;
+    else if (code === 3) next.italic = true;
+    else if (code === 4) next.underline = true;
+    else if (code === 7) next.inverse = true;
+    else if (code === 9) next.strike = true;
+    else if (code === 22) next.bold = next.dim = false;
+    else if (code === 23) next.italic = false;
+    else if (code === 24) next.underline = false;
+    else if (code === 27) next.inverse = false;
+    else if (code === 29) next.strike = false;
+    else if (code >= 30 && code <= 37) next.fg = PALETTE[code - 30];
+    else if (code >= 90 && code <= 97) next.fg = PALETTE[code - 90 + 8];
+    else if (code >= 40 && code <= 47) next.bg = PALETTE[code - 40];
+    else if (code >= 100 && code <= 107) next.bg = PALETTE[code - 100 + 8];
+    else if (code === 39) next.fg = undefined;
+    else if (code === 49) next.bg = undefined;
+    else if (code === 38 || code === 48) {
+      const key = code === 38 ? 'fg' : 'bg';
+      if (codes[i + 1] === 5) {
+        next[key] = color256(codes[i + 2] || 0);
+        i += 2;
+      } else if (codes[i + 1] === 2) {
+        next[key] = rgb(codes[i + 2], codes[i + 3], codes[i + 4]);
+        i += 4;
+      }
+    }
+  }
+  return Object.freeze(next);
+}
+
+/**
+ * Minimal terminal emulator with unbounded scrollback: enough to replay TUI output
+ * (redrawn spinners and prompts, cursor moves, screen clears) so that each line ends up
+ * once, in its final state. Printed text is not wrapped, but the cursor is only moved
+ * within the screen's `cols` x `rows`.
+ */
+class VirtualScreen {
+  constructor(rows, cols) {
+    this.rows = rows;
+    this.cols = cols;
+    this.lines = [[]];
+    this.top = 0;                        // First line of the visible screen
+    this.row = 0;
+    this.col = 0;
+    this.style = DEFAULT_STYLE;
+    this.saved = { row: 0, col: 0 };
+  }
+
+  _line() {
+    while (this.lines.length <= this.row) this.lines.push([]);
+    return this.lines[this.row];
+  }
+
+  _moveTo(row, col = this.col) {
+    this.row = Math.max(this.top, Math.min(row, this.top + this.rows - 1));
+    this._moveToColumn(col);
+  }
+
+  _moveToColumn(col) {
+    this.col = Math.max(0, Math.min(col, this.cols - 1));
+  }
+
+  print(text) {
+    const line = this._line();
+    for (const char of text) {
+      while (line.length < this.col) line.push({ char: ' ', style: DEFAULT_STYLE });
+      line[this.col++] = { char, style: this.style };
+    }
+  }
+
+  control(char) {
+    if (char === '\r') {
+      this.col = 0;
+    } else if (char === '\n') {
+      this.row++;
+      this.top = Math.max(this.top, this.row - this.rows + 1);
+    } else if (char === '\b') {
+      this.col = Math.max(0, this.col - 1);
+    } else if (char === '\t') {
+      this._moveToColumn((Math.floor(this.col / 8) + 1) * 8);
+    }
+  }
+
+  escape(final) {
+    if (final === '7') {
+      this.saved = { row: this.row, col: this.col };
+    } else if (final === '8') {
+      this._moveTo(this.saved.row, this.saved.col);
+    } else if (final === 'M') {
+      this._moveTo(this.row - 1);
+    } else if (final === 'c') {
+      Object.assign(this, new VirtualScreen(this.rows, this.cols));
+    }
+  }
+
+  csi(params, final) {
+    // Private modes (cursor visibility, alternate screen, bracketed paste...) don't affect the text
+    if (/^[<=>?]/.test(params)) return;
+
+    if (final === 'm') {
+      this.style = applySgr(this.style, params);
+      return;
+    }
+
+    const args = params.split(';').map((value) => parseInt(value, 10));
+    const n = args[0] || 1;
+
+    switch (final) {
+      case 'A': this._moveTo(this.row - n); break;
+      case 'B': this._moveTo(this.row + n); break;
+      case 'C': this._moveToColumn(this.col + n); break;
+      case 'D': this.col = Math.max(0, this.col - n); break;
+      case 'E': this._moveTo(this.row + n, 0); break;
+      case 'F': this._moveTo(this.row - n, 0); break;
+      case 'G': this._moveToColumn(n - 1); break;
+      case 'd': this._moveTo(this.top + n - 1); break;
+      case 'H':
+      case 'f': this._moveTo(this.top + n - 1, (args[1] || 1) - 1); break;
+      case 's': this.escape('7'); break;
+      case 'u': this.escape('8'); break;
+      case 'K': this._eraseLine(args[0] || 0); break;
+      case 'J': this._eraseDisplay(args[0] || 0); break;
+    }
+  }
+
+  _eraseLine(mode) {
+    const line = this._line();
+    if (mode === 0) {
+      line.length = Math.min(line.length, this.col);
+    } else if (mode === 1) {
+      for (let i = 0; i <= this.col && i < line.length; i++) {
+        line[i] = { char: ' ', style: DEFAULT_STYLE };
+      }
+    } else {
+      line.length = 0;
+    }
+  }
+
+  _eraseDisplay(mode) {
+    if (mode === 0) {
+      this._eraseLine(0);
+      this.lines.length = Math.min(this.lines.length, this.row + 1);
+    } else if (mode === 1) {
+      for (let row = this.top; row < this.row && row < this.lines.length; row++) {
+        this.lines[row] = [];
+      }
+      this._eraseLine(1);
+    } else if (mode === 2) {
+      this.lines.length = Math.min(this.lines.length, this.top);
+    } else if (mode === 3) {
+      // Clear the scrollback, keep the screen
+      this.lines.splice(0, this.top);
+      this.row -= this.top;
+      this.saved.row = Math.max(0, this.saved.row - this.top);
+      this.top = 0;
+    }
+  }
+
+  write(text) {
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+      const [, params, csiFinal, escFinal, printable, control] = match;
+      if (csiFinal) this.csi(params, csiFinal);
+      else if (escFinal) this.escape(escFinal);
+      else if (printable) this.print(printable);
+      else if (control) this.control(control);
+    }
+  }
+
+  // Lines as runs of text sharing a style, trailing blank lines dropped
+  toRuns() {
+    const lines = this.lines.map((cells) => {
+      const runs = [];
+      for (const { char, style } of cells) {
+        const last = runs[runs.length - 1];
+        if (last && last.style === style) {
+          last.text += char;
+        } else {
+          runs.push({ text: char, style });
+        }
+      }
+      return runs;
+    });
+
+    while (lines.length > 0 && lines[lines.length - 1].every((run) => !run.text.trim())) {
+      lines.pop();
+    }
+    return lines;
+  }
+}
+
+/**
+ * Render raw PTY output as plain text, the way it last appeared on screen
+ */
+export function ansiToText(text, { rows = 30, cols = 120 } = {}) {
+  const screen = new VirtualScreen(rows, cols);
+  screen.write(text);
+  return screen.toRuns()
+    .map((runs) => runs.map((run) => run.text).join('').trimEnd())
+    .join('\n');
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function toCss(style) {
+  let fg = style.fg;
+  let bg = style.bg;
+  if (style.inverse) {
+    [fg, bg] = [bg || DEFAULT_BACKGROUND, fg || DEFAULT_FOREGROUND];
+  }
+
+  const css = [];
+  if (fg) css.push(`color:${fg}`);
+  if (bg) css.push(`background:${bg}`);
+  if (style.bold) css.push('font-weight:bold');
+  if (style.dim) css.push('opacity:0.7');
+  if (style.italic) css.push('font-style:italic');
+  const decorations = [style.underline && 'underline', style.strike && 'line-through'].filter(Boolean);
+  if (decorations.length > 0) css.push(`text-decoration:${decorations.join(' ')}`);
+  return css.join(';');
+}
+
+/**
+ * Render raw PTY output as HTML: escaped text in styled <span>s, to be put in a <pre>
+ */
+export function ansiToHtml(text, { rows = 30, cols = 120 } = {}) {
+  const screen = new VirtualScreen(rows, cols);
+  screen.write(text);
+  return screen.toRuns()
+    .map((runs) => runs.map((run) => {
+      const css = toCss(run.style);
+      return css ? `<span style="${css}">${escapeHtml(run.text)}</span>` : escapeHtml(run.text);
+    }).join(''))
+    .join('\n');
+}
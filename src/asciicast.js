@@ -0,0 +1,48 @@
+import { createWriteStream, mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Writes a terminal session to an asciicast v2 file: a JSON header line, then one
+ * `[seconds, "o" | "r", data]` line per output chunk or resize
+ */
+class AsciicastRecorder {
+  constructor(filePath, { width, height, title, command }) {
+    mkdirSync(dirname(filePath), { recursive: true });
+    this.filePath = filePath;
+    this.startTime = Date.now();
+    this.stream = createWriteStream(filePath);
+    this.stream.on('error', (error) => console.error(`Recording ${filePath} failed:`, error.message));
+
+    this._writeLine({
+      version: 2,
+      width,
+      height,
+      timestamp: Math.floor(this.startTime / 1000),
+      title,
+      command,
+      env: { TERM: 'xterm-256color' },
+    });
+  }
+
+  _elapsed() {
+    return Number(((Date.now() - this.startTime) / 1000).toFixed(6));
+  }
+
+  _writeLine(value) {
+    this.stream.write(JSON.stringify(value) + '\n');
+  }
+
+  output(data) {
+    this._writeLine([this._elapsed(), 'o', data]);
+  }
+
+  resize(cols, rows) {
+    this._writeLine([this._elapsed(), 'r', `${cols}x${rows}`]);
+  }
+
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+export default AsciicastRecorder;
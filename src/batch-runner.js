@@ -0,0 +1,196 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import config from './config.js';
+import { readJson, writeJson } from './json-store.js';
+import { runClaude } from './claude-cli.js';
+
+const BATCHES_FILE = join(config.dataDir, 'batches.json');
+// Batches kept on disk
+const BATCH_LIMIT = 50;
+// Characters of output kept per run (the end is what tells whether it worked)
+const OUTPUT_LIMIT = 256 * 1024;
+
+/**
+ * Runs one prompt headless (`claude -p`) across several projects. Runs of every batch share
+ * one pool of `concurrency` slots and start in the order they were requested.
+ * Run statuses: pending, running, succeeded, failed, cancelled.
+ * Emits 'change' (batch summary) and 'output' (batchId, runIndex, chunk) on `events`.
+ */
+class BatchRunner {
+  constructor({ concurrency = config.batches.concurrency, filePath = BATCHES_FILE } = {}) {
+    this.concurrency = concurrency;
+    this.filePath = filePath;
+    this.batches = readJson(filePath, []);
+    this.pending = [];                   // { batch, run } waiting for a slot
+    this.children = new Map();           // Run -> its Claude process
+    this.events = new EventEmitter();
+
+    // Runs cut short by a server restart
+    for (const batch of this.batches) {
+      for (const run of batch.runs) {
+        if (run.status === 'pending' || run.status === 'running') {
+          this._finishRun(batch, run, 'cancelled');
+        }
+      }
+    }
+  }
+
+  /**
+   * Queue a run per project (absolute paths). `launchOptions` are a launch profile's { args, env, profileId }.
+   */
+  start(prompt, projects, launchOptions = {}) {
+    const batch = {
+      id: randomUUID(),
+      prompt,
+      profileId: launchOptions.profileId || null,
+      args: launchOptions.args || [],
+      env: launchOptions.env || {},
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      runs: projects.map((path) => ({
+        project: path,
+        name: path.split(/[/\\]/).pop() || path,
+        status: 'pending',
+        exitCode: null,
+        startedAt: null,
+        finishedAt: null,
+        output: '',
+      })),
+    };
+
+    this.batches = [batch, ...this.batches].slice(0, BATCH_LIMIT);
+    batch.runs.forEach((run) => this.pending.push({ batch, run }));
+    this._save();
+    this._emitChange(batch);
+    this._pump();
+    return this.get(batch.id);
+  }
+
+  /**
+   * A batch with every run's output
+   */
+  get(id) {
+    const batch = this.batches.find((b) => b.id === id);
+    if (!batch) {
+      throw new Error(`Batch ${id} not found`);
+    }
+    const { env, ...rest } = batch;
+    return { ...rest, status: getBatchStatus(batch) };
+  }
+
+  /**
+   * Every batch without the output of its runs, newest first
+   */
+  list() {
+    return this.batches.map(summarize);
+  }
+
+  // Pending runs are dropped, running ones killed
+  cancel(id) {
+    const batch = this.batches.find((b) => b.id === id);
+    if (!batch) {
+      throw new Error(`Batch ${id} not found`);
+    }
+    this.pending = this.pending.filter((entry) => entry.batch !== batch);
+    for (const run of batch.runs) {
+      if (run.status === 'pending') {
+        this._finishRun(batch, run, 'cancelled');
+      } else if (run.status === 'running') {
+        run.cancelled = true;
+        this.children.get(run)?.kill();
+      }
+    }
+    this._save();
+    this._emitChange(batch);
+  }
+
+  delete(id) {
+    const batch = this.batches.find((b) => b.id === id);
+    if (!batch) {
+      throw new Error(`Batch ${id} not found`);
+    }
+    if (getBatchStatus(batch) === 'running') {
+      throw new Error('Cannot delete a running batch, cancel it first');
+    }
+    this.batches = this.batches.filter((b) => b !== batch);
+    this._save();
+  }
+
+  _pump() {
+    while (this.children.size < this.concurrency && this.pending.length > 0) {
+      const { batch, run } = this.pending.shift();
+      this._startRun(batch, run);
+    }
+  }
+
+  async _startRun(batch, run) {
+    const index = batch.runs.indexOf(run);
+    run.status = 'running';
+    run.startedAt = new Date().toISOString();
+
+    const { child, done } = runClaude(run.project, batch.prompt, {
+      args: batch.args,
+      env: batch.env,
+      onOutput: (chunk) => {
+        run.output = (run.output + chunk).slice(-OUTPUT_LIMIT);
+        this.events.emit('output', batch.id, index, chunk);
+      },
+    });
+    this.children.set(run, child);
+    this._save();
+    this._emitChange(batch);
+
+    try {
+      const { code } = await done;
+      run.exitCode = code;
+      this._finishRun(batch, run, run.cancelled ? 'cancelled' : code === 0 ? 'succeeded' : 'failed');
+    } catch (error) {
+      run.output += `\n${error.message}\n`;
+      this.events.emit('output', batch.id, index, `\n${error.message}\n`);
+      this._finishRun(batch, run, 'failed');
+    }
+
+    this.children.delete(run);
+    this._save();
+    this._emitChange(batch);
+    this._pump();
+  }
+
+  _finishRun(batch, run, status) {
+    run.status = status;
+    run.finishedAt = new Date().toISOString();
+    delete run.cancelled;
+    if (getBatchStatus(batch) !== 'running') {
+      batch.finishedAt = run.finishedAt;
+    }
+  }
+
+  _emitChange(batch) {
+    this.events.emit('change', summarize(batch));
+  }
+
+  _save() {
+    writeJson(this.filePath, this.batches);
+  }
+}
+
+// running while a run is pending or running, then done (or cancelled if any run was)
+function getBatchStatus(batch) {
+  if (batch.runs.some((run) => run.status === 'pending' || run.status === 'running')) return 'running';
+  return batch.runs.some((run) => run.status === 'cancelled') ? 'cancelled' : 'done';
+}
+
+function summarize(batch) {
+  return {
+    id: batch.id,
+    prompt: batch.prompt,
+    profileId: batch.profileId,
+    createdAt: batch.createdAt,
+    finishedAt: batch.finishedAt,
+    status: getBatchStatus(batch),
+    runs: batch.runs.map(({ output, ...run }) => run),
+  };
+}
+
+export default BatchRunner;
@@ -0,0 +1,34 @@
+import { spawn } from 'child_process';
+import config from './config.js';
+import { getClaudeCommand } from './platform.js';
+
+/**
+ * Run Claude headless (`claude -p`) in a project. The prompt is written to stdin so it
+ * never goes through a shell's quoting; `args` and `env` come from a launch profile.
+ * `onOutput(chunk)` receives stdout and stderr as they come, unless `onStderr` takes the latter.
+ * Returns { child, done }: `done` resolves to { code, signal } and rejects if Claude cannot start.
+ */
+export function runClaude(cwd, prompt, { args = [], env = {}, onOutput = () => {}, onStderr = onOutput } = {}) {
+  const fullEnv = { ...config.pty.env, ...env };
+  const claude = getClaudeCommand(fullEnv);
+  const child = spawn(claude.file, [...claude.args, '-p', ...args], {
+    cwd,
+    env: fullEnv,
+    windowsHide: true,
+  });
+
+  child.stdout.setEncoding('utf-8');
+  child.stderr.setEncoding('utf-8');
+  child.stdout.on('data', onOutput);
+  child.stderr.on('data', onStderr);
+  // Claude may exit before reading all of its input
+  child.stdin.on('error', () => {});
+  child.stdin.end(prompt);
+
+  const done = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', (code, signal) => resolve({ code, signal }));
+  });
+
+  return { child, done };
+}
@@ -0,0 +1,212 @@
+import { existsSync, createReadStream } from 'fs';
+import { readdir, stat } from 'fs/promises';
+import { createInterface } from 'readline';
+import { join } from 'path';
+import { homedir } from 'os';
+
+const CLAUDE_PROJECTS_DIR = join(homedir(), '.claude', 'projects');
+// Characters kept of a session's first prompt, and of each tool result in the viewer
+const PROMPT_PREVIEW_LENGTH = 300;
+const TOOL_RESULT_LIMIT = 20000;
+
+// Session file -> { mtimeMs, size, summary }: logs are only read again once they changed
+const summaryCache = new Map();
+
+/**
+ * Claude Code stores each project's conversations under ~/.claude/projects/,
+ * in a folder named after the cwd with every non-alphanumeric character replaced by '-'
+ */
+export function getProjectSessionsDir(cwd) {
+  return join(CLAUDE_PROJECTS_DIR, cwd.replace(/[^a-zA-Z0-9]/g, '-'));
+}
+
+export function getSessionFile(cwd, sessionId) {
+  return join(getProjectSessionsDir(cwd), `${sessionId}.jsonl`);
+}
+
+/**
+ * A session only exists on disk once its first message has been sent
+ */
+export function sessionExists(cwd, sessionId) {
+  return existsSync(getSessionFile(cwd, sessionId));
+}
+
+/**
+ * Past conversations of a project, most recently active first:
+ * { id, title, firstPrompt, messageCount, startedAt, lastActivityAt }
+ */
+export async function listSessions(cwd) {
+  const dir = getProjectSessionsDir(cwd);
+  let names;
+  try {
+    names = await readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const sessions = [];
+  for (const name of names.filter((n) => n.endsWith('.jsonl'))) {
+    const file = join(dir, name);
+    const stats = await stat(file);
+    let cached = summaryCache.get(file);
+    if (!cached || cached.mtimeMs !== stats.mtimeMs || cached.size !== stats.size) {
+      cached = { mtimeMs: stats.mtimeMs, size: stats.size, summary: await summarizeSession(file) };
+      summaryCache.set(file, cached);
+    }
+    sessions.push({
+      id: name.slice(0, -'.jsonl'.length),
+      ...cached.summary,
+      lastActivityAt: cached.summary.lastActivityAt || stats.mtime.toISOString(),
+    });
+  }
+
+  // Files without any message (e.g. only a summary) are not conversations
+  return sessions
+    .filter((session) => session.messageCount > 0)
+    .sort((a, b) => b.lastActivityAt.localeCompare(a.lastActivityAt));
+}
+
+/**
+ * A past conversation as the viewer shows it: { id, title, startedAt, lastActivityAt, messages },
+ * messages being { type: 'prompt' | 'text', text, timestamp } or
+ * { type: 'tool', id, name, input, result, isError, patch, timestamp }, `patch` holding the
+ * hunks of a file edit ({ oldStart, newStart, lines }) when Claude Code logged them.
+ */
+export async function readSession(cwd, sessionId) {
+  const session = { id: sessionId, title: null, startedAt: null, lastActivityAt: null, messages: [] };
+  const tools = new Map();               // Tool use id -> its message, to attach the result
+  const texts = new Set();               // Assistant text already added, per message id
+  const lines = createInterface({ input: createReadStream(getSessionFile(cwd, sessionId), 'utf-8'), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if (entry.type === 'summary') {
+      session.title = entry.summary || session.title;
+      continue;
+    }
+    if ((entry.type !== 'user' && entry.type !== 'assistant') || entry.isMeta || entry.isSidechain) continue;
+
+    const timestamp = entry.timestamp || null;
+    if (timestamp) {
+      session.startedAt = session.startedAt || timestamp;
+      session.lastActivityAt = timestamp;
+    }
+    const content = entry.message?.content;
+
+    if (entry.type === 'assistant') {
+      for (const block of Array.isArray(content) ? content : []) {
+        if (block.type === 'text' && block.text) {
+          const key = `${entry.message.id}:${block.text}`;
+          if (texts.has(key)) continue;
+          texts.add(key);
+          session.messages.push({ type: 'text', text: block.text, timestamp });
+        } else if (block.type === 'tool_use' && !tools.has(block.id)) {
+          const message = { type: 'tool', id: block.id, name: block.name, input: block.input, result: null, isError: false, patch: null, timestamp };
+          tools.set(block.id, message);
+          session.messages.push(message);
+        }
+      }
+      continue;
+    }
+
+    // Tool results are logged as user messages
+    const results = Array.isArray(content) ? content.filter((block) => block.type === 'tool_result') : [];
+    for (const block of results) {
+      const message = tools.get(block.tool_use_id);
+      if (!message) continue;
+      message.result = getToolResultText(block.content).slice(0, TOOL_RESULT_LIMIT);
+      message.isError = Boolean(block.is_error);
+      message.patch = entry.toolUseResult?.structuredPatch?.length ? entry.toolUseResult.structuredPatch : null;
+    }
+    if (results.length > 0) continue;
+
+    const text = getCommandText(getPromptText(content));
+    if (text) {
+      session.messages.push({ type: 'prompt', text, timestamp });
+    }
+  }
+  return session;
+}
+
+/**
+ * Text of a tool result, whose content is a string or a list of content blocks
+ */
+export function getToolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .map((block) => (block.type === 'text' ? block.text : `[${block.type}]`))
+    .join('\n');
+}
+
+async function summarizeSession(file) {
+  const summary = { title: null, firstPrompt: null, messageCount: 0, startedAt: null, lastActivityAt: null };
+  // An assistant reply is logged once per content block, all with the same message id
+  const replies = new Set();
+  const lines = createInterface({ input: createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+
+    if (entry.type === 'summary') {
+      summary.title = entry.summary || summary.title;
+      continue;
+    }
+    if ((entry.type !== 'user' && entry.type !== 'assistant') || entry.isMeta || entry.isSidechain) continue;
+
+    if (entry.timestamp) {
+      summary.startedAt = summary.startedAt || entry.timestamp;
+      summary.lastActivityAt = entry.timestamp;
+    }
+
+    if (entry.type === 'assistant') {
+      const id = entry.message?.id;
+      if (id && replies.has(id)) continue;
+      if (id) replies.add(id);
+      summary.messageCount++;
+    } else {
+      const text = getPromptText(entry.message?.content);
+      // Tool results are logged as user messages too
+      if (text === null) continue;
+      summary.messageCount++;
+      // Slash commands and their output are wrapped in tags
+      if (!summary.firstPrompt && !text.startsWith('<')) {
+        summary.firstPrompt = text.slice(0, PROMPT_PREVIEW_LENGTH);
+      }
+    }
+  }
+  return summary;
+}
+
+// What the user typed, or null for a message that only carries tool results
+function getPromptText(content) {
+  if (typeof content === 'string') return content.trim();
+  if (!Array.isArray(content)) return null;
+  const text = content
+    .filter((block) => block.type === 'text')
+    .map((block) => block.text)
+    .join('\n')
+    .trim();
+  return text || null;
+}
+
+// Slash commands are logged wrapped in tags: keep the command line, drop their output
+function getCommandText(text) {
+  if (!text?.startsWith('<')) return text;
+  const name = text.match(/<command-name>([\s\S]*?)<\/command-name>/);
+  if (!name) return null;
+  const args = text.match(/<command-args>([\s\S]*?)<\/command-args>/);
+  return [name[1].trim(), args?.[1].trim()].filter(Boolean).join(' ');
+}
@@ -3,24 +3,88 @@ import { dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const dataDir = join(__dirname, '..', 'data');
 
 export default {
   port: 3080,
   host: 'localhost',
-  maxInstances: 5,
+  maxInstances: 5, // Running instances at once; further launches wait in a queue
   projectsRoot: 'E:\\Code',
   projectMarker: 'CLAUDE.md',
   templatesPath: 'E:\\Code\\.claude-templates',
   templatesRepo: 'https://github.com/affaan-m/everything-claude-code',
   skillsLibraryPath: join(__dirname, '..', 'skills-library'),
+  dataDir,
+  recordings: {
+    dir: join(dataDir, 'recordings'), // asciicast v2 files
+    enabledByDefault: false, // Record new instances without toggling it on each one
+  },
   pty: {
-    shell: process.env.COMSPEC || 'cmd.exe',
-    args: ['/c', 'claude'],
+    // Commands are detected per platform (see src/platform.js). Set `command` to replace
+    // the detected one, or `args` to append to it; `platforms.<os>` overrides both.
+    claude: { command: null, args: [] },
+    shell: { command: null, args: [] },
+    platforms: {
+      win32: {},
+      darwin: {},
+      linux: {},
+    },
     env: process.env,
   },
   terminal: {
     defaultCols: 120,
     defaultRows: 30,
+    scrollbackLimit: 512 * 1024, // Characters of raw output kept per instance for replay
+  },
+  usageRefreshInterval: 60000, // Usage is pushed to /events clients, polled at most this often
+  status: {
+    idleAfter: 10 * 60 * 1000, // Waiting for input this long without activity counts as idle
+    settleDelay: 150, // Output must be quiet this long before the screen is classified
+  },
+  processStats: {
+    interval: 5000, // CPU/memory of each instance's process tree is sampled this often while clients are connected
+  },
+  gitStatus: {
+    interval: 30 * 1000, // Branch, dirty and ahead/behind of each project are polled this often while clients are connected
+  },
+  reaping: {
+    exitedAfter: 10 * 60 * 1000, // Exited instances are removed after this long (0: never)
+    idleAfter: 12 * 60 * 60 * 1000, // Idle instances are closed after this long (0: never)
+    warnBefore: 15 * 60 * 1000, // Clients are warned this long before an idle instance is closed
+    checkInterval: 60 * 1000,
+  },
+  batches: {
+    concurrency: 3, // Headless Claude runs of batches (`claude -p`) at once, across all batches
+  },
+  jobs: {
+    concurrency: 2, // Headless jobs (`claude -p --output-format stream-json`) at once; more wait their turn
+  },
+  schedules: {
+    checkInterval: 30 * 1000, // Due schedules are started at most this late
+  },
+  limitResume: {
+    prompt: 'Continue where you left off.', // Typed into opted-in instances once their usage limit resets
+    delay: 60 * 1000, // Wait this long after the reset time before resuming
+  },
+  tokenUsage: {
+    interval: 5000, // Session logs of running instances are read this often
+    // Estimated USD per million tokens; a model is priced by the first name it contains
+    pricing: {
+      'opus-4-5': { input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+      opus: { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+      sonnet: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+      haiku: { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+    },
+  },
+  restart: {
+    maxRetries: 3, // Defaults of an 'on-failure' restart policy
+    backoff: 5000, // Delay before the first restart, doubled after each consecutive one
+    maxBackoff: 5 * 60 * 1000,
+    stableAfter: 60 * 1000, // An instance running this long before crashing starts over at its first retry
+  },
+  ptyHost: {
+    socketPath: null, // Defaults to a named pipe (Windows), or a socket in $XDG_RUNTIME_DIR or the private data/run dir
+    startTimeout: 10000,
   },
   gracefulShutdownTimeout: 5000,
 };
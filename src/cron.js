@@ -0,0 +1,122 @@
+// Standard 5-field cron expressions (minute hour day-of-month month day-of-week), in server local time
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },   // 0 and 7 are both Sunday
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Give up looking for a matching time this far ahead (e.g. "0 0 31 2 *" never matches)
+const SEARCH_LIMIT = 5 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an expression into the allowed values of each field. Supports `*`, lists,
+ * ranges, steps (`*\/15`, `1-5/2`) and the @daily-style macros. Throws on invalid input.
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+  const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression must have ${FIELDS.length} fields: minute hour day-of-month month day-of-week`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // When both are restricted, a day matching either one counts (as in crontab)
+    anyDay: parts[2].startsWith('*') || parts[4].startsWith('*'),
+  };
+}
+
+/**
+ * First time strictly after `from` matching the expression, or null if there is none
+ */
+export function getNextRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = from.getTime() + SEARCH_LIMIT;
+
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+/**
+ * The next `count` run times after `from`
+ */
+export function getNextRuns(expression, count, from = new Date()) {
+  const cron = parseCron(expression);
+  const runs = [];
+  let next = from;
+  while (runs.length < count && (next = getNextRun(cron, next))) {
+    runs.push(next);
+  }
+  return runs;
+}
+
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getDate());
+  const weekday = cron.weekdays.has(date.getDay());
+  return cron.anyDay ? day && weekday : day || weekday;
+}
+
+function parseField(part, { name, min, max }) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: ${part}`);
+    }
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    const to = range === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid ${name} field: ${part} (allowed: ${min}-${max})`);
+    }
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+  return values;
+}
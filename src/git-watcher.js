@@ -0,0 +1,91 @@
+import { EventEmitter } from 'events';
+import { execFile } from 'child_process';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { promisify } from 'util';
+import config from './config.js';
+
+const execFileAsync = promisify(execFile);
+const GIT_TIMEOUT = 5000;
+
+/**
+ * { isGit, branch, ahead, behind, dirty } of a project's working copy
+ * (ahead/behind its upstream, 0 without one)
+ */
+export async function getGitState(cwd) {
+  if (!existsSync(join(cwd, '.git'))) {
+    return { isGit: false };
+  }
+
+  const git = async (args) => {
+    try {
+      const { stdout } = await execFileAsync('git', args, { cwd, encoding: 'utf-8', timeout: GIT_TIMEOUT, windowsHide: true });
+      return stdout.trim();
+    } catch {
+      return null;
+    }
+  };
+  const [branch, counts, status] = await Promise.all([
+    git(['rev-parse', '--abbrev-ref', 'HEAD']),
+    git(['rev-list', '--count', '--left-right', 'HEAD...@{upstream}']),
+    git(['status', '--porcelain']),
+  ]);
+  const [ahead, behind] = (counts || '').split('\t').map((count) => parseInt(count, 10) || 0);
+
+  return { isGit: true, branch: branch || '', ahead: ahead || 0, behind: behind || 0, dirty: Boolean(status) };
+}
+
+/**
+ * Polls the git state of every project, only between start() and stop() (while someone
+ * is watching), one project at a time.
+ * Emits 'change' (path, state) on `events` when a project's state differs from the last poll.
+ */
+class GitWatcher {
+  constructor(getProjects, { interval = config.gitStatus.interval } = {}) {
+    this.getProjects = getProjects;
+    this.interval = interval;
+    this.states = new Map();             // Project path -> last state
+    this.checking = null;
+    this.timer = null;
+    this.events = new EventEmitter();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.check();
+    this.timer = setInterval(() => this.check(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Last polled state of each project: [{ path, ...state }]
+   */
+  list() {
+    return Array.from(this.states, ([path, state]) => ({ path, ...state }));
+  }
+
+  // Poll now (e.g. after a pull); concurrent callers share the poll in progress
+  check() {
+    if (!this.checking) {
+      this.checking = this._check()
+        .catch((error) => console.error('Git status poll failed:', error.message))
+        .finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  async _check() {
+    for (const project of this.getProjects()) {
+      const state = await getGitState(project.path);
+      if (JSON.stringify(state) === JSON.stringify(this.states.get(project.path))) continue;
+      this.states.set(project.path, state);
+      this.events.emit('change', project.path, state);
+    }
+  }
+}
+
+export default GitWatcher;
@@ -0,0 +1,104 @@
+import { EventEmitter } from 'events';
+import { join } from 'path';
+import config from './config.js';
+import { readJson, writeJson } from './json-store.js';
+
+const HISTORY_FILE = join(config.dataDir, 'history.json');
+// Ended instances kept on disk
+const HISTORY_LIMIT = 200;
+// Events kept per instance
+const LOG_LIMIT = 100;
+
+/**
+ * Record of ended instances (newest first) with why they ended: closed by a user,
+ * or reaped once exited or idle. Also keeps each instance's event log (created,
+ * exited, restarts...), which ends up in its history entry.
+ * Fed by the PTY manager's events; emits 'logged' (id, event) on `events`.
+ */
+class InstanceHistory {
+  constructor(ptyManager, filePath = HISTORY_FILE) {
+    this.filePath = filePath;
+    const data = readJson(filePath, { entries: [], logs: {} });
+    this.entries = data.entries || [];
+    this.logs = data.logs || {};         // Instance id -> events, while it is running
+    this.instances = new Map();          // Instance id -> last known info
+    this.exitCodes = new Map();
+    this.reasons = new Map();            // Instance id -> reason of a close in progress
+    this.events = new EventEmitter();
+
+    const { events } = ptyManager;
+    events.on('created', (info, { restored } = {}) => {
+      this.instances.set(info.id, info);
+      // Already logged when it was created, before this server started
+      if (!restored) this.log(info.id, 'created');
+    });
+    events.on('updated', (info) => this.instances.set(info.id, info));
+    events.on('exit', (id, code) => {
+      this.exitCodes.set(id, code);
+      this.log(id, 'exited', { code });
+    });
+    events.on('respawned', (info) => {
+      this.exitCodes.delete(info.id);
+      this.log(info.id, 'respawned');
+    });
+    events.on('closed', (id) => this._record(id));
+  }
+
+  /**
+   * Why the next close of an instance happens, e.g. 'reaped-idle' (default: 'closed')
+   */
+  setReason(id, reason) {
+    this.reasons.set(id, reason);
+  }
+
+  /**
+   * Append an event ({ at, type, ...details }) to an instance's log
+   */
+  log(id, type, details = {}) {
+    const event = { at: new Date().toISOString(), type, ...details };
+    this.logs[id] = [...(this.logs[id] || []), event].slice(-LOG_LIMIT);
+    this._save();
+    this.events.emit('logged', id, event);
+  }
+
+  getLog(id) {
+    return this.logs[id] || [];
+  }
+
+  list() {
+    return this.entries;
+  }
+
+  _record(id) {
+    const info = this.instances.get(id);
+    const reason = this.reasons.get(id) || 'closed';
+    const exitCode = this.exitCodes.get(id);
+    const events = this.getLog(id);
+    this.instances.delete(id);
+    this.reasons.delete(id);
+    this.exitCodes.delete(id);
+    delete this.logs[id];
+
+    if (info) {
+      this.entries = [{
+        id,
+        cwd: info.cwd,
+        type: info.type,
+        name: info.name,
+        sessionId: info.sessionId,
+        createdAt: info.createdAt,
+        endedAt: new Date().toISOString(),
+        exitCode: exitCode ?? null,
+        reason,
+        events,
+      }, ...this.entries].slice(0, HISTORY_LIMIT);
+    }
+    this._save();
+  }
+
+  _save() {
+    writeJson(this.filePath, { entries: this.entries, logs: this.logs });
+  }
+}
+
+export default InstanceHistory;
@@ -0,0 +1,62 @@
+import { join } from 'path';
+import config from './config.js';
+import { readJson, writeJson } from './json-store.js';
+
+const REGISTRY_FILE = join(config.dataDir, 'instances.json');
+
+/**
+ * Persists the launch parameters of Claude instances so they can be
+ * respawned (with --resume) after a server restart
+ */
+class InstanceRegistry {
+  constructor(filePath = REGISTRY_FILE) {
+    this.filePath = filePath;
+    this.records = new Map();
+    this._load();
+  }
+
+  /**
+   * Load saved records from file
+   */
+  _load() {
+    const data = readJson(this.filePath, { instances: [] });
+    for (const record of data.instances || []) {
+      this.records.set(record.id, record);
+    }
+  }
+
+  /**
+   * Save records to file
+   */
+  _save() {
+    writeJson(this.filePath, { instances: this.list() });
+  }
+
+  list() {
+    return Array.from(this.records.values());
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  set(record) {
+    this.records.set(record.id, record);
+    this._save();
+  }
+
+  update(id, changes) {
+    const record = this.records.get(id);
+    if (!record) return;
+    Object.assign(record, changes);
+    this._save();
+  }
+
+  delete(id) {
+    if (this.records.delete(id)) {
+      this._save();
+    }
+  }
+}
+
+export default InstanceRegistry;
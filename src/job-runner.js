@@ -0,0 +1,253 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import config from './config.js';
+import { readJson, writeJson } from './json-store.js';
+import { runClaude } from './claude-cli.js';
+import { getToolResultText } from './claude-sessions.js';
+
+const JOBS_FILE = join(config.dataDir, 'jobs.json');
+// Jobs kept on disk
+const JOB_LIMIT = 100;
+// Characters kept of each tool result, and of what Claude writes to stderr
+const TOOL_RESULT_LIMIT = 10000;
+const STDERR_LIMIT = 64 * 1024;
+// stream-json output in print mode is only available with --verbose
+const STREAM_ARGS = ['--output-format', 'stream-json', '--verbose'];
+
+/**
+ * Headless Claude runs (`claude -p --output-format stream-json`) in a project. The stream
+ * is parsed into messages (assistant text, and tool calls with their result), and the final
+ * result with its cost and token usage. At most `concurrency` jobs run at once.
+ * Job statuses: queued, running, succeeded, failed, cancelled.
+ * Emits 'change' (job summary) and 'message' (jobId, index, message) on `events`; a message
+ * is sent again at the same index when it changes (a tool call getting its result).
+ */
+class JobRunner {
+  constructor({ concurrency = config.jobs.concurrency, filePath = JOBS_FILE } = {}) {
+    this.concurrency = concurrency;
+    this.filePath = filePath;
+    this.jobs = readJson(filePath, []);
+    this.queued = [];                    // Jobs waiting for a slot
+    this.children = new Map();           // Job id -> its Claude process
+    this.events = new EventEmitter();
+    // Two listeners per connected job WebSocket
+    this.events.setMaxListeners(0);
+
+    // Jobs cut short by a server restart
+    for (const job of this.jobs) {
+      if (job.status === 'queued' || job.status === 'running') {
+        this._finish(job, 'cancelled');
+      }
+    }
+  }
+
+  /**
+   * Queue a job in `cwd`. `launchOptions` are a launch profile's { args, env, profileId }.
+   */
+  start(cwd, prompt, launchOptions = {}) {
+    const job = {
+      id: randomUUID(),
+      cwd,
+      name: cwd.split(/[/\\]/).pop() || cwd,
+      prompt,
+      profileId: launchOptions.profileId || null,
+      args: launchOptions.args || [],
+      env: launchOptions.env || {},
+      status: 'queued',
+      sessionId: null,
+      model: null,
+      messages: [],                      // { type: 'text', text } or { type: 'tool', id, name, input, result, isError }
+      result: null,
+      isError: false,
+      costUsd: null,
+      durationMs: null,
+      numTurns: null,
+      usage: null,
+      exitCode: null,
+      stderr: '',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+    };
+
+    this.jobs = [job, ...this.jobs].slice(0, JOB_LIMIT);
+    this.queued.push(job);
+    this._changed(job);
+    this._pump();
+    return this.get(job.id);
+  }
+
+  /**
+   * A job with its messages
+   */
+  get(id) {
+    const { env, ...job } = this._find(id);
+    return job;
+  }
+
+  /**
+   * Every job without its messages, newest first
+   */
+  list() {
+    return this.jobs.map(summarize);
+  }
+
+  cancel(id) {
+    const job = this._find(id);
+    if (job.status === 'queued') {
+      this.queued = this.queued.filter((j) => j !== job);
+      this._finish(job, 'cancelled');
+      this._changed(job);
+    } else if (job.status === 'running') {
+      job.cancelled = true;
+      this.children.get(id)?.kill();
+    }
+  }
+
+  delete(id) {
+    const job = this._find(id);
+    if (job.status === 'queued' || job.status === 'running') {
+      throw new Error('Cannot delete a job that has not finished, cancel it first');
+    }
+    this.jobs = this.jobs.filter((j) => j !== job);
+    this._save();
+  }
+
+  _find(id) {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    return job;
+  }
+
+  _pump() {
+    while (this.children.size < this.concurrency && this.queued.length > 0) {
+      this._run(this.queued.shift());
+    }
+  }
+
+  async _run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    // stdout is one JSON message per line, possibly split across chunks
+    let buffer = '';
+    const { child, done } = runClaude(job.cwd, job.prompt, {
+      args: [...STREAM_ARGS, ...job.args],
+      env: job.env,
+      onOutput: (chunk) => {
+        const lines = (buffer + chunk).split('\n');
+        buffer = lines.pop();
+        lines.forEach((line) => this._onLine(job, line));
+      },
+      onStderr: (chunk) => {
+        job.stderr = (job.stderr + chunk).slice(-STDERR_LIMIT);
+      },
+    });
+    this.children.set(job.id, child);
+    this._changed(job);
+
+    try {
+      const { code } = await done;
+      this._onLine(job, buffer);
+      job.exitCode = code;
+      if (job.cancelled) {
+        this._finish(job, 'cancelled');
+      } else {
+        this._finish(job, code === 0 && !job.isError ? 'succeeded' : 'failed');
+      }
+    } catch (error) {
+      job.stderr += `\n${error.message}\n`;
+      this._finish(job, 'failed');
+    }
+
+    this.children.delete(job.id);
+    this._changed(job);
+    this._pump();
+  }
+
+  _onLine(job, line) {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      // Not part of the stream (e.g. a warning printed by a wrapper script)
+      job.stderr = (job.stderr + line + '\n').slice(-STDERR_LIMIT);
+      return;
+    }
+
+    switch (message.type) {
+      case 'system':
+        if (message.subtype === 'init') {
+          job.sessionId = message.session_id || null;
+          job.model = message.model || null;
+          this._changed(job);
+        }
+        break;
+
+      case 'assistant':
+        for (const block of message.message?.content || []) {
+          if (block.type === 'text' && block.text) {
+            this._addMessage(job, { type: 'text', text: block.text });
+          } else if (block.type === 'tool_use') {
+            this._addMessage(job, { type: 'tool', id: block.id, name: block.name, input: block.input, result: null, isError: false });
+          }
+        }
+        break;
+
+      case 'user':
+        // Tool results come back as user messages
+        for (const block of Array.isArray(message.message?.content) ? message.message.content : []) {
+          if (block.type !== 'tool_result') continue;
+          const index = job.messages.findIndex((m) => m.type === 'tool' && m.id === block.tool_use_id);
+          if (index === -1) continue;
+          job.messages[index].result = getToolResultText(block.content).slice(0, TOOL_RESULT_LIMIT);
+          job.messages[index].isError = Boolean(block.is_error);
+          this.events.emit('message', job.id, index, job.messages[index]);
+        }
+        break;
+
+      case 'result':
+        job.sessionId = message.session_id || job.sessionId;
+        job.result = message.result ?? null;
+        job.isError = Boolean(message.is_error);
+        job.costUsd = message.total_cost_usd ?? null;
+        job.durationMs = message.duration_ms ?? null;
+        job.numTurns = message.num_turns ?? null;
+        job.usage = message.usage || null;
+        this._changed(job);
+        break;
+    }
+  }
+
+  _addMessage(job, message) {
+    job.messages.push(message);
+    this.events.emit('message', job.id, job.messages.length - 1, message);
+  }
+
+  _finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    delete job.cancelled;
+  }
+
+  _changed(job) {
+    this._save();
+    this.events.emit('change', summarize(job));
+  }
+
+  _save() {
+    writeJson(this.filePath, this.jobs);
+  }
+}
+
+function summarize(job) {
+  const { env, messages, stderr, ...summary } = job;
+  return { ...summary, messageCount: messages.length };
+}
+
+export default JobRunner;
@@ -0,0 +1,121 @@
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import config from './config.js';
+import { readJson, writeJson } from './json-store.js';
+
+const PROFILES_FILE = join(config.dataDir, 'profiles.json');
+
+export const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions'];
+
+/**
+ * Named sets of Claude CLI options (model, permission mode, extra args/env,
+ * initial prompt) that new instances can be launched with
+ */
+class LaunchProfiles {
+  constructor(filePath = PROFILES_FILE) {
+    this.filePath = filePath;
+    this.profiles = new Map();
+    this._load();
+  }
+
+  _load() {
+    const data = readJson(this.filePath, { profiles: [] });
+    for (const profile of data.profiles || []) {
+      this.profiles.set(profile.id, profile);
+    }
+  }
+
+  _save() {
+    writeJson(this.filePath, { profiles: this.list() });
+  }
+
+  list() {
+    return Array.from(this.profiles.values());
+  }
+
+  get(id) {
+    return this.profiles.get(id) || null;
+  }
+
+  create(fields) {
+    const profile = { id: randomUUID(), ...this._validate(fields) };
+    this.profiles.set(profile.id, profile);
+    this._save();
+    return profile;
+  }
+
+  update(id, fields) {
+    if (!this.profiles.has(id)) {
+      throw new Error(`Profile ${id} not found`);
+    }
+    const profile = { id, ...this._validate(fields) };
+    this.profiles.set(id, profile);
+    this._save();
+    return profile;
+  }
+
+  delete(id) {
+    if (!this.profiles.delete(id)) {
+      throw new Error(`Profile ${id} not found`);
+    }
+    this._save();
+  }
+
+  // Normalize user input, throwing on invalid values
+  _validate(fields) {
+    const { name, model, permissionMode, skipPermissions, extraArgs, env, initialPrompt } = fields || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      throw new Error('Profile name is required');
+    }
+    if (permissionMode && !PERMISSION_MODES.includes(permissionMode)) {
+      throw new Error(`Invalid permission mode: ${permissionMode}`);
+    }
+    if (extraArgs !== undefined && (!Array.isArray(extraArgs) || extraArgs.some((arg) => typeof arg !== 'string'))) {
+      throw new Error('extraArgs must be an array of strings');
+    }
+    if (env !== undefined && (typeof env !== 'object' || env === null || Array.isArray(env)
+      || Object.values(env).some((value) => typeof value !== 'string'))) {
+      throw new Error('env must be an object of strings');
+    }
+
+    return {
+      name: name.trim(),
+      model: typeof model === 'string' ? model.trim() : '',
+      permissionMode: permissionMode || '',
+      skipPermissions: Boolean(skipPermissions),
+      extraArgs: (extraArgs || []).filter(Boolean),
+      env: env || {},
+      initialPrompt: typeof initialPrompt === 'string' ? initialPrompt : '',
+    };
+  }
+
+  /**
+   * Translate a profile into the options understood by PtyManager.create(), plus its
+   * initial prompt (typed in by the server once Claude waits for input)
+   */
+  static toLaunchOptions(profile) {
+    if (!profile) return {};
+
+    const args = [];
+    if (profile.model) {
+      args.push('--model', profile.model);
+    }
+    if (profile.permissionMode) {
+      args.push('--permission-mode', profile.permissionMode);
+    }
+    if (profile.skipPermissions) {
+      args.push('--dangerously-skip-permissions');
+    }
+    args.push(...profile.extraArgs);
+
+    return {
+      profileId: profile.id,
+      args,
+      env: profile.env,
+      initialPrompt: profile.initialPrompt || undefined,
+    };
+  }
+}
+
+export default LaunchProfiles;
@@ -0,0 +1,165 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import config from './config.js';
+
+// Lifetimes of recently ended instances, used to estimate when a slot frees
+const LIFETIME_SAMPLES = 20;
+
+/**
+ * Launches instances while fewer than `maxInstances` are running, and queues the
+ * others until an instance exits or is closed.
+ * Emits 'change' (state), 'started' (entry, instance) and 'failed' (entry, error) on `events`.
+ */
+class LaunchQueue {
+  constructor(ptyManager, { maxInstances = config.maxInstances } = {}) {
+    this.ptyManager = ptyManager;
+    this.maxInstances = maxInstances;
+    this.entries = [];
+    this.starting = 0;                   // Launches awaiting the PTY host
+    this.startTimes = new Map();         // Instance id -> creation time, until it ends
+    this.stopping = new Set();           // Instances stopped for a close or restart: they keep their slot until it is done
+    this.lifetimes = [];
+    this.events = new EventEmitter();
+
+    const { events } = ptyManager;
+    events.on('created', (info) => this.startTimes.set(info.id, Date.parse(info.createdAt) || Date.now()));
+    // A requested exit is followed by 'closed' or, for a restart, 'respawned' in the same slot
+    events.on('exit', (id, code, requested) => {
+      if (requested) this.stopping.add(id);
+      else this._onSlotFreed(id);
+    });
+    events.on('respawned', (info) => this.stopping.delete(info.id));
+    events.on('closed', (id) => {
+      this.stopping.delete(id);
+      this._onSlotFreed(id);
+    });
+  }
+
+  /**
+   * Start an instance now if a slot is free, otherwise queue it.
+   * Resolves to { instance } or { queued: entry }.
+   */
+  async launch(cwd, type = 'claude', options = {}) {
+    if (this.entries.length === 0 && this._freeSlots() > 0) {
+      return { instance: await this._start(cwd, type, options) };
+    }
+
+    const entry = { id: randomUUID(), cwd, type, options, queuedAt: new Date().toISOString() };
+    this.entries.push(entry);
+    this._emitChange();
+    return { queued: this._describe(entry, this.entries.length - 1) };
+  }
+
+  cancel(id) {
+    const index = this.entries.findIndex((entry) => entry.id === id);
+    if (index === -1) {
+      throw new Error(`Queued launch ${id} not found`);
+    }
+    this.entries.splice(index, 1);
+    this._emitChange();
+  }
+
+  /**
+   * The first queued launch matching `predicate` (called with the raw entry:
+   * { id, cwd, type, options }), described like getState() does, or null
+   */
+  find(predicate) {
+    const index = this.entries.findIndex(predicate);
+    return index === -1 ? null : this._describe(this.entries[index], index);
+  }
+
+  /**
+   * Limit, running count and queued launches with their position and ETA
+   */
+  getState() {
+    return {
+      maxInstances: this.maxInstances,
+      running: this._runningCount(),
+      queue: this.entries.map((entry, index) => this._describe(entry, index)),
+    };
+  }
+
+  _runningCount() {
+    return this.ptyManager.list().filter((instance) => instance.status !== 'exited' || this.stopping.has(instance.id)).length;
+  }
+
+  _freeSlots() {
+    return this.maxInstances - this._runningCount() - this.starting;
+  }
+
+  async _start(cwd, type, options) {
+    this.starting++;
+    try {
+      return type === 'shell'
+        ? await this.ptyManager.createShell(cwd)
+        : await this.ptyManager.create(cwd, options);
+    } finally {
+      this.starting--;
+    }
+  }
+
+  _onSlotFreed(id) {
+    const startedAt = this.startTimes.get(id);
+    if (startedAt !== undefined) {
+      this.startTimes.delete(id);
+      this.lifetimes = [...this.lifetimes, Date.now() - startedAt].slice(-LIFETIME_SAMPLES);
+    }
+    this._drain();
+  }
+
+  async _drain() {
+    let changed = false;
+
+    while (this.entries.length > 0 && this._freeSlots() > 0) {
+      const entry = this.entries.shift();
+      changed = true;
+      try {
+        const instance = await this._start(entry.cwd, entry.type, entry.options);
+        this.events.emit('started', this._describe(entry, 0), instance);
+      } catch (error) {
+        // Lost a race for the slot (e.g. a restored instance): retry on the next free slot
+        if (error.message.includes('Maximum instances')) {
+          this.entries.unshift(entry);
+          break;
+        }
+        this.events.emit('failed', this._describe(entry, 0), error);
+      }
+    }
+
+    if (changed) this._emitChange();
+  }
+
+  // Public shape of a queued launch; `eta` is an ISO date, or null without lifetime history
+  _describe(entry, index) {
+    return {
+      id: entry.id,
+      cwd: entry.cwd,
+      type: entry.type,
+      profileId: entry.options.profileId || null,
+      queuedAt: entry.queuedAt,
+      position: index + 1,
+      eta: this._estimateStart(index),
+    };
+  }
+
+  // Slots free up as running instances reach the average lifetime, then every lifetime after that
+  _estimateStart(index) {
+    if (this.lifetimes.length === 0) return null;
+
+    const now = Date.now();
+    const lifetime = this.lifetimes.reduce((sum, value) => sum + value, 0) / this.lifetimes.length;
+    const remaining = Array.from(this.startTimes.values())
+      .map((startedAt) => Math.max(0, startedAt + lifetime - now))
+      .sort((a, b) => a - b);
+
+    if (remaining.length === 0) return new Date(now).toISOString();
+    const round = Math.floor(index / remaining.length);
+    return new Date(now + remaining[index % remaining.length] + round * lifetime).toISOString();
+  }
+
+  _emitChange() {
+    this.events.emit('change', this.getState());
+  }
+}
+
+export default LaunchQueue;
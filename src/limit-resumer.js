@@ -0,0 +1,232 @@
+import { EventEmitter } from 'events';
+import { join } from 'path';
+import config from './config.js';
+import { readJson, writeJson } from './json-store.js';
+import { stripAnsi } from './ansi.js';
+import { typePrompt } from './prompt-input.js';
+
+const RESUMES_FILE = join(config.dataDir, 'limit-resumes.json');
+// Characters of plain-text output kept per opted-in instance to look for the limit message
+const TAIL_LENGTH = 2000;
+
+// Claude's message when the usage limit is hit
+const LIMIT_PATTERNS = [
+  /usage limit reached/i,
+  /(5-hour|session) limit reached/i,
+  /you['’]ve hit your (usage )?limit/i,
+];
+// Older CLI versions append the reset time as a Unix timestamp: "usage limit reached|1735689600"
+const RESET_TIMESTAMP = /limit reached\|(\d{10})/i;
+// "resets 3pm", "will reset at 3:30 PM", in server local time
+const RESET_TIME = /resets?(?: at)?\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i;
+// Without a time in the message, the claude.ai usage of the matching window is used
+const WEEKLY_LIMIT = /weekly limit/i;
+// A redraw of the limit message already handled is ignored for this long
+const HANDLED_FOR = 6 * 60 * 60 * 1000;
+
+/**
+ * Types a continuation prompt into opted-in instances once the usage limit that stopped
+ * them resets: the limit message is spotted in their output, the reset time is read from it
+ * (or, when it shows none, from the claude.ai usage of that window), and the prompt goes in
+ * `delay` after. Pending resumes survive a server restart.
+ * Emits 'change' (id, state) on `events`, state being what get() returns.
+ */
+class LimitResumer {
+  constructor(ptyManager, usageService, history, options = config.limitResume, filePath = RESUMES_FILE) {
+    this.ptyManager = ptyManager;
+    this.usageService = usageService;
+    this.history = history;
+    this.options = options;
+    this.filePath = filePath;
+    // Instance id -> { enabled, prompt, pending: { resetsAt, resumeAt } | null, lastResetsAt, lastMessage, lastMessageAt }
+    this.settings = readJson(filePath, {});
+    this.tails = new Map();
+    this.detecting = new Set();          // Reset time being looked up
+    this.timers = new Map();
+    this.events = new EventEmitter();
+
+    for (const [id, setting] of Object.entries(this.settings)) {
+      if (setting.pending) this._arm(id);
+    }
+
+    ptyManager.events.on('data', (id, data) => this._onOutput(id, data));
+    ptyManager.events.on('closed', (id) => {
+      this._disarm(id);
+      this.tails.delete(id);
+      if (this.settings[id]) {
+        delete this.settings[id];
+        this._save();
+      }
+    });
+  }
+
+  /**
+   * { enabled, prompt, pending: { resetsAt, resumeAt } | null } of an instance
+   */
+  get(id) {
+    const setting = this.settings[id];
+    return {
+      enabled: Boolean(setting?.enabled),
+      prompt: setting?.prompt || null,
+      pending: setting?.pending || null,
+    };
+  }
+
+  /**
+   * Opt an instance in or out; `prompt` replaces the default continuation prompt (null: default)
+   */
+  configure(id, { enabled, prompt }) {
+    if (!this.ptyManager.get(id)) {
+      throw new Error(`Instance ${id} not found`);
+    }
+    const setting = this.settings[id] || { enabled: false, prompt: null, pending: null, lastResetsAt: null };
+    if (enabled !== undefined) setting.enabled = enabled;
+    if (prompt !== undefined) setting.prompt = prompt || null;
+    this.settings[id] = setting;
+
+    if (!setting.enabled) {
+      this._disarm(id);
+      setting.pending = null;
+      this.tails.delete(id);
+    }
+    this._changed(id);
+    return this.get(id);
+  }
+
+  // Drop a pending resume; the same limit is not picked up again
+  cancel(id) {
+    const setting = this.settings[id];
+    if (!setting?.pending) {
+      throw new Error(`No resume pending for instance ${id}`);
+    }
+    this._disarm(id);
+    setting.pending = null;
+    this._changed(id);
+  }
+
+  _onOutput(id, data) {
+    const setting = this.settings[id];
+    if (!setting?.enabled || setting.pending || this.detecting.has(id)) return;
+
+    const tail = ((this.tails.get(id) || '') + stripAnsi(data)).slice(-TAIL_LENGTH);
+    const message = tail.split(/\r?\n/).reverse().find((line) => LIMIT_PATTERNS.some((pattern) => pattern.test(line)))?.trim();
+    if (!message) {
+      this.tails.set(id, tail);
+      return;
+    }
+
+    this.tails.delete(id);
+    // The screen was redrawn: the message is the one already handled
+    if (message === setting.lastMessage && Date.now() - Date.parse(setting.lastMessageAt) < HANDLED_FOR) return;
+    this._onLimit(id, tail, message);
+  }
+
+  async _onLimit(id, text, message) {
+    this.detecting.add(id);
+    try {
+      const resetsAt = await this._getResetTime(text);
+      const setting = this.settings[id];
+      if (!setting?.enabled || setting.pending) return;
+
+      setting.lastMessage = message;
+      setting.lastMessageAt = new Date().toISOString();
+      this._save();
+
+      if (!resetsAt) {
+        this.history.log(id, 'limit-resume-failed', { error: 'Unknown reset time' });
+        return;
+      }
+      // Another message for the limit already handled
+      if (setting.lastResetsAt === resetsAt.toISOString()) return;
+
+      setting.lastResetsAt = resetsAt.toISOString();
+      setting.pending = {
+        resetsAt: resetsAt.toISOString(),
+        resumeAt: new Date(resetsAt.getTime() + this.options.delay).toISOString(),
+      };
+      this.history.log(id, 'limit-reached', { resumeAt: setting.pending.resumeAt });
+      this._arm(id);
+      this._changed(id);
+    } finally {
+      this.detecting.delete(id);
+    }
+  }
+
+  // The message's own reset time first: it names the limit that was actually hit
+  async _getResetTime(text) {
+    const timestamp = text.match(RESET_TIMESTAMP);
+    if (timestamp) {
+      return new Date(Number(timestamp[1]) * 1000);
+    }
+
+    const time = text.match(RESET_TIME);
+    if (time) {
+      let hours = Number(time[1]);
+      const meridiem = time[3]?.toLowerCase();
+      if (meridiem) hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+      if (hours <= 23) {
+        const date = new Date();
+        date.setHours(hours, Number(time[2] || 0), 0, 0);
+        if (date.getTime() <= Date.now()) date.setDate(date.getDate() + 1);
+        return date;
+      }
+    }
+
+    try {
+      const usage = await this.usageService.getUsage();
+      const window = WEEKLY_LIMIT.test(text) ? usage?.sevenDay : usage?.fiveHour;
+      const resetsAt = window?.resetsAt && new Date(window.resetsAt);
+      if (resetsAt && resetsAt.getTime() > Date.now()) {
+        return resetsAt;
+      }
+    } catch (error) {
+      console.error('Usage lookup for a limit resume failed:', error.message);
+    }
+    return null;
+  }
+
+  _arm(id) {
+    const delay = Math.max(0, Date.parse(this.settings[id].pending.resumeAt) - Date.now());
+    this.timers.set(id, setTimeout(() => this._resume(id), delay));
+  }
+
+  _disarm(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  async _resume(id) {
+    this.timers.delete(id);
+    const setting = this.settings[id];
+    if (!setting?.pending) return;
+    setting.pending = null;
+    this._changed(id);
+
+    try {
+      const instance = this.ptyManager.get(id);
+      if (!instance || instance.status === 'exited') {
+        throw new Error('Instance has exited');
+      }
+      await typePrompt(this.ptyManager, id, setting.prompt || this.options.prompt);
+      this.history.log(id, 'limit-resumed');
+    } catch (error) {
+      this.history.log(id, 'limit-resume-failed', { error: error.message });
+    }
+  }
+
+  _changed(id) {
+    this._save();
+    this.events.emit('change', id, this.get(id));
+  }
+
+  _save() {
+    writeJson(this.filePath, this.settings);
+  }
+
+  stop() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+export default LimitResumer;
@@ -0,0 +1,102 @@
+import { accessSync, statSync, constants } from 'fs';
+import { delimiter, extname, isAbsolute, join } from 'path';
+import { homedir } from 'os';
+import config from './config.js';
+
+const isWindows = process.platform === 'win32';
+
+// Where the Claude installers put the binary when it is not on the PATH of the server
+const CLAUDE_FALLBACK_PATHS = [
+  join(homedir(), '.claude', 'local', 'claude'),
+  join(homedir(), '.local', 'bin', 'claude'),
+];
+
+function isExecutable(filePath) {
+  try {
+    if (!statSync(filePath).isFile()) return false;
+    if (!isWindows) accessSync(filePath, constants.X_OK);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// `config.pty.<kind>` merged with `config.pty.platforms[process.platform].<kind>`
+function getOverride(kind) {
+  return { ...config.pty[kind], ...config.pty.platforms?.[process.platform]?.[kind] };
+}
+
+/**
+ * Find an executable on PATH (honouring PATHEXT on Windows), or null
+ */
+export function findExecutable(name, env = process.env) {
+  if (isAbsolute(name)) {
+    return isExecutable(name) ? name : null;
+  }
+
+  const extensions = isWindows && !extname(name)
+    ? (env.PATHEXT || '.COM;.EXE;.BAT;.CMD').split(';').filter(Boolean)
+    : [''];
+  const dirs = (env.PATH || env.Path || '').split(delimiter).filter(Boolean);
+
+  for (const dir of dirs) {
+    for (const ext of extensions) {
+      const candidate = join(dir, name + ext);
+      if (isExecutable(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * The user's login shell: %COMSPEC% on Windows, $SHELL elsewhere (falling back to bash, then sh)
+ */
+export function getLoginShell(env = process.env) {
+  if (isWindows) {
+    return env.COMSPEC || 'cmd.exe';
+  }
+  return [env.SHELL, '/bin/bash', '/bin/sh'].find((shell) => shell && isExecutable(shell)) || '/bin/sh';
+}
+
+// An explicit `command` replaces the detected one; otherwise `args` are appended to it
+function applyOverride(kind, detected) {
+  const override = getOverride(kind);
+  if (override.command) {
+    return { file: override.command, args: override.args || [] };
+  }
+  return { file: detected.file, args: [...detected.args, ...(override.args || [])] };
+}
+
+/**
+ * Command for an interactive shell instance
+ */
+export function getShellCommand(env = process.env) {
+  const shell = getLoginShell(env);
+  return applyOverride('shell', { file: shell, args: isWindows ? [] : ['-l'] });
+}
+
+/**
+ * Command that starts the Claude CLI; launch arguments are appended to `args`
+ */
+export function getClaudeCommand(env = process.env) {
+  return applyOverride('claude', detectClaude(env));
+}
+
+function detectClaude(env) {
+  if (isWindows) {
+    // Native installs ship claude.exe; npm installs a claude.cmd shim that needs cmd.exe
+    const found = findExecutable('claude', env);
+    if (found && extname(found).toLowerCase() === '.exe') {
+      return { file: found, args: [] };
+    }
+    return { file: env.COMSPEC || 'cmd.exe', args: ['/c', 'claude'] };
+  }
+
+  const found = findExecutable('claude', env) || CLAUDE_FALLBACK_PATHS.find(isExecutable);
+  if (found) {
+    return { file: found, args: [] };
+  }
+
+  // Not found (e.g. server started outside a login session): let the login shell's profile set PATH
+  return { file: getLoginShell(env), args: ['-l', '-c', 'exec claude "$@"', 'claude'] };
+}
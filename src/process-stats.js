@@ -0,0 +1,229 @@
+import { EventEmitter } from 'events';
+import { readdir, readFile } from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import config from './config.js';
+
+const execFileAsync = promisify(execFile);
+
+// Units of /proc/<pid>/stat on practically every Linux system
+const CLOCK_TICKS = 100;
+const PAGE_SIZE = 4096;
+
+/**
+ * Every process on the machine: { pid, ppid, name, command, rss (bytes) } plus either
+ * `cpuTime` (seconds used so far, turned into a percentage between samples) or `cpu` (%)
+ */
+export async function listProcesses() {
+  if (process.platform === 'linux') return listLinuxProcesses();
+  if (process.platform === 'win32') return listWindowsProcesses();
+  return listPsProcesses();
+}
+
+async function listLinuxProcesses() {
+  const pids = (await readdir('/proc')).filter((name) => /^\d+$/.test(name));
+  const processes = await Promise.all(pids.map(async (pid) => {
+    try {
+      const stat = await readFile(`/proc/${pid}/stat`, 'utf-8');
+      // The name is in parentheses and may itself contain spaces or parentheses
+      const nameEnd = stat.lastIndexOf(')');
+      const fields = stat.slice(nameEnd + 2).split(' ');
+      return {
+        pid: Number(pid),
+        ppid: Number(fields[1]),
+        name: stat.slice(stat.indexOf('(') + 1, nameEnd),
+        cpuTime: (Number(fields[11]) + Number(fields[12])) / CLOCK_TICKS,
+        rss: Number(fields[21]) * PAGE_SIZE,
+      };
+    } catch (error) {
+      return null; // Exited while listing
+    }
+  }));
+  return processes.filter(Boolean);
+}
+
+async function listWindowsProcesses() {
+  const script = 'Get-CimInstance Win32_Process | Select-Object ProcessId,ParentProcessId,Name,CommandLine,WorkingSetSize,KernelModeTime,UserModeTime | ConvertTo-Json -Compress';
+  const { stdout } = await execFileAsync('powershell.exe', ['-NoProfile', '-Command', script], {
+    encoding: 'utf-8', maxBuffer: 32 * 1024 * 1024, timeout: 15000, windowsHide: true,
+  });
+  return JSON.parse(stdout).map((p) => ({
+    pid: p.ProcessId,
+    ppid: p.ParentProcessId,
+    name: p.Name,
+    command: p.CommandLine || p.Name,
+    // Kernel and user times are in 100ns units
+    cpuTime: (Number(p.KernelModeTime) + Number(p.UserModeTime)) / 1e7,
+    rss: Number(p.WorkingSetSize),
+  }));
+}
+
+// macOS and other Unixes
+async function listPsProcesses() {
+  const { stdout } = await execFileAsync('ps', ['-A', '-o', 'pid=,ppid=,pcpu=,rss=,comm='], {
+    encoding: 'utf-8', maxBuffer: 32 * 1024 * 1024, timeout: 15000,
+  });
+  return stdout.split('\n').filter(Boolean).map((line) => {
+    const [pid, ppid, cpu, rss, ...name] = line.trim().split(/\s+/);
+    return {
+      pid: Number(pid),
+      ppid: Number(ppid),
+      name: name.join(' '),
+      cpu: Number(cpu),
+      rss: Number(rss) * 1024,
+    };
+  });
+}
+
+async function readCommand(proc) {
+  if (proc.command || process.platform !== 'linux') return proc.command || proc.name;
+  try {
+    const cmdline = await readFile(`/proc/${proc.pid}/cmdline`, 'utf-8');
+    return cmdline.split('\0').filter(Boolean).join(' ') || proc.name;
+  } catch (error) {
+    return proc.name;
+  }
+}
+
+/**
+ * A process and all its descendants, parents before children
+ */
+export function getProcessTree(processes, rootPid) {
+  const children = new Map();
+  for (const proc of processes) {
+    if (!children.has(proc.ppid)) children.set(proc.ppid, []);
+    children.get(proc.ppid).push(proc);
+  }
+
+  const root = processes.find((proc) => proc.pid === rootPid);
+  if (!root) return [];
+
+  const tree = [];
+  const stack = [root];
+  while (stack.length > 0) {
+    const proc = stack.pop();
+    tree.push(proc);
+    stack.push(...(children.get(proc.pid) || []));
+  }
+  return tree;
+}
+
+/**
+ * Periodically measures the CPU and memory used by each instance's process tree.
+ * Sampling only runs between start() and stop(); get() samples on demand when stale.
+ * Emits 'stats' ({ [instanceId]: { cpu, rss, processCount } }) on `events`.
+ */
+class ProcessSampler {
+  constructor(ptyManager, { interval = config.processStats.interval } = {}) {
+    this.ptyManager = ptyManager;
+    this.interval = interval;
+    this.previous = new Map();           // pid -> cpuTime at the last sample
+    this.previousAt = 0;
+    this.stats = new Map();              // Instance id -> stats
+    this.sampledAt = 0;
+    this.sampling = null;
+    this.timer = null;
+    this.events = new EventEmitter();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.sample();
+    this.timer = setInterval(() => this.sample(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Stats of an instance: { pid, cpu (% of one core), rss (bytes), processes, sampledAt }
+   */
+  async get(id) {
+    if (Date.now() - this.sampledAt > this.interval) {
+      await this.sample();
+    }
+    return this.stats.get(id) || null;
+  }
+
+  // Concurrent callers share the sample in progress
+  sample() {
+    if (!this.sampling) {
+      this.sampling = this._sample()
+        .catch((error) => console.error('Process sampling failed:', error.message))
+        .finally(() => { this.sampling = null; });
+    }
+    return this.sampling;
+  }
+
+  async _sample() {
+    const processes = await listProcesses();
+    const now = Date.now();
+    const elapsed = (now - this.previousAt) / 1000;
+
+    for (const proc of processes) {
+      if (proc.cpuTime === undefined) continue;
+      const before = this.previous.get(proc.pid);
+      proc.cpu = before !== undefined && elapsed > 0
+        ? Math.max(0, ((proc.cpuTime - before) / elapsed) * 100)
+        : 0;
+    }
+    this.previous = new Map(processes.map((proc) => [proc.pid, proc.cpuTime]));
+    this.previousAt = now;
+
+    const stats = new Map();
+    for (const instance of this.ptyManager.list()) {
+      if (!instance.pid || instance.status === 'exited') continue;
+      const tree = getProcessTree(processes, instance.pid);
+      if (tree.length === 0) continue;
+
+      stats.set(instance.id, {
+        pid: instance.pid,
+        cpu: round(tree.reduce((sum, proc) => sum + proc.cpu, 0)),
+        rss: tree.reduce((sum, proc) => sum + proc.rss, 0),
+        processes: await Promise.all(tree.map(async (proc) => ({
+          pid: proc.pid,
+          ppid: proc.ppid,
+          name: proc.name,
+          command: await readCommand(proc),
+          cpu: round(proc.cpu),
+          rss: proc.rss,
+        }))),
+        sampledAt: new Date(now).toISOString(),
+      });
+    }
+    this.stats = stats;
+    this.sampledAt = now;
+
+    const summary = {};
+    stats.forEach(({ cpu, rss, processes: tree }, id) => {
+      summary[id] = { cpu, rss, processCount: tree.length };
+    });
+    this.events.emit('stats', summary);
+  }
+
+  /**
+   * Signal a process of an instance's tree (not the instance itself: close it instead)
+   */
+  async kill(id, pid, signal = 'SIGTERM') {
+    const instance = this.ptyManager.get(id);
+    if (!instance) {
+      throw new Error(`Instance ${id} not found`);
+    }
+    if (pid === instance.pid) {
+      throw new Error('Cannot kill the instance process itself, close the instance instead');
+    }
+    const tree = getProcessTree(await listProcesses(), instance.pid);
+    if (!tree.some((proc) => proc.pid === pid)) {
+      throw new Error(`Process ${pid} not found in instance ${id}`);
+    }
+    process.kill(pid, signal);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+export default ProcessSampler;
@@ -0,0 +1,13 @@
+// Claude's input treats a burst of characters as a paste, in which Enter is a newline
+const SUBMIT_DELAY = 150;
+
+/**
+ * Type text into an instance as if it came from its terminal, then press Enter
+ * on its own once the text has landed
+ */
+export async function typePrompt(ptyManager, id, text, { submit = true } = {}) {
+  ptyManager.write(id, text);
+  if (!submit) return;
+  await new Promise((resolve) => setTimeout(resolve, SUBMIT_DELAY));
+  ptyManager.write(id, '\r');
+}
@@ -0,0 +1,150 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import config from './config.js';
+import { readJson, writeJson } from './json-store.js';
+import { typePrompt } from './prompt-input.js';
+
+const QUEUES_FILE = join(config.dataDir, 'prompt-queues.json');
+// States in which Claude is ready for the next prompt
+const READY_STATES = ['waiting-for-input', 'idle'];
+// Without a state change after a delivery (e.g. a slash command), the next prompt waits this long
+const DELIVERY_TIMEOUT = 10000;
+
+/**
+ * Prompts waiting to be sent to each instance. The first one is typed in when the
+ * instance waits for input; a permission prompt pauses the queue until it is resumed.
+ * Emits 'change' (id, queue) and 'delivered' (id, prompt) on `events`.
+ */
+class PromptQueue {
+  constructor(ptyManager, statusTracker, filePath = QUEUES_FILE) {
+    this.ptyManager = ptyManager;
+    this.statusTracker = statusTracker;
+    this.filePath = filePath;
+    this.queues = readJson(filePath, {});    // Instance id -> { paused, prompts: [{ id, text, createdAt }] }
+    this.delivering = new Map();         // Instance id -> timeout, until the last prompt is taken in
+    this.events = new EventEmitter();
+
+    statusTracker.events.on('change', (id, state) => this._onStateChange(id, state));
+    ptyManager.events.on('closed', (id) => {
+      this._clearDelivering(id);
+      if (this.queues[id]) {
+        delete this.queues[id];
+        this._save();
+      }
+    });
+  }
+
+  /**
+   * { paused, prompts } of an instance
+   */
+  get(id) {
+    return this.queues[id] || { paused: false, prompts: [] };
+  }
+
+  add(id, text) {
+    const queue = this._getOrCreate(id);
+    const prompt = { id: randomUUID(), text, createdAt: new Date().toISOString() };
+    queue.prompts.push(prompt);
+    this._changed(id);
+    this._deliverIfReady(id);
+    return prompt;
+  }
+
+  /**
+   * Change a queued prompt's text and/or move it to `position` (0-based)
+   */
+  update(id, promptId, { text, position }) {
+    const queue = this.get(id);
+    const index = queue.prompts.findIndex((prompt) => prompt.id === promptId);
+    if (index === -1) {
+      throw new Error(`Prompt ${promptId} not found`);
+    }
+
+    const [prompt] = queue.prompts.splice(index, 1);
+    if (text !== undefined) prompt.text = text;
+    const target = position === undefined ? index : Math.max(0, Math.min(position, queue.prompts.length));
+    queue.prompts.splice(target, 0, prompt);
+    this._changed(id);
+    return prompt;
+  }
+
+  remove(id, promptId) {
+    const queue = this.get(id);
+    const index = queue.prompts.findIndex((prompt) => prompt.id === promptId);
+    if (index === -1) {
+      throw new Error(`Prompt ${promptId} not found`);
+    }
+    queue.prompts.splice(index, 1);
+    this._changed(id);
+  }
+
+  setPaused(id, paused) {
+    this._getOrCreate(id).paused = paused;
+    this._changed(id);
+    if (!paused) this._deliverIfReady(id);
+  }
+
+  _onStateChange(id, state) {
+    if (!this.queues[id]) return;
+
+    if (!READY_STATES.includes(state)) {
+      this._clearDelivering(id);
+    }
+    if (state === 'waiting-for-permission' && this.queues[id].prompts.length > 0 && !this.queues[id].paused) {
+      // Someone has to answer first
+      this.setPaused(id, true);
+    } else if (READY_STATES.includes(state)) {
+      this._deliverIfReady(id);
+    }
+  }
+
+  async _deliverIfReady(id) {
+    const queue = this.queues[id];
+    if (!queue || queue.paused || queue.prompts.length === 0 || this.delivering.has(id)) return;
+
+    const instance = this.ptyManager.get(id);
+    if (!instance || instance.status === 'exited') return;
+    if (!READY_STATES.includes(this.statusTracker.get(id).state)) return;
+
+    const prompt = queue.prompts.shift();
+    this.delivering.set(id, setTimeout(() => {
+      this.delivering.delete(id);
+      this._deliverIfReady(id);
+    }, DELIVERY_TIMEOUT));
+    this._changed(id);
+
+    try {
+      await typePrompt(this.ptyManager, id, prompt.text);
+      this.events.emit('delivered', id, prompt);
+    } catch (error) {
+      console.error(`Failed to deliver a queued prompt to instance ${id}:`, error.message);
+    }
+  }
+
+  _clearDelivering(id) {
+    clearTimeout(this.delivering.get(id));
+    this.delivering.delete(id);
+  }
+
+  _getOrCreate(id) {
+    if (!this.ptyManager.get(id)) {
+      throw new Error(`Instance ${id} not found`);
+    }
+    if (!this.queues[id]) {
+      this.queues[id] = { paused: false, prompts: [] };
+    }
+    return this.queues[id];
+  }
+
+  _changed(id) {
+    this._save();
+    this.events.emit('change', id, this.get(id));
+  }
+
+  _save() {
+    writeJson(this.filePath, this.queues);
+  }
+}
+
+export default PromptQueue;
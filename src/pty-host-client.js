@@ -0,0 +1,350 @@
+import net from 'net';
+import { spawn } from 'child_process';
+import { openSync, closeSync, mkdirSync } from 'fs';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import config from './config.js';
+import ScrollbackBuffer from './scrollback.js';
+import { getSocketPath, sendMessage, onMessage, toInstanceInfo } from './pty-protocol.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const HOST_SCRIPT = join(__dirname, 'pty-host.js');
+const HOST_LOG = join(config.dataDir, 'pty-host.log');
+
+/**
+ * Web-server side of the PTY host: same API as PtyManager, backed by a local mirror
+ * of the host's instances (metadata + scrollback) kept up to date by its events
+ */
+class PtyHostClient {
+  constructor(socketPath = getSocketPath()) {
+    this.socketPath = socketPath;
+    this.socket = null;
+    this.instances = new Map();
+    this.pending = new Map();
+    this.nextRequestId = 1;
+    this.closing = false;
+    // Lifecycle for all instances: 'created' (info, { restored }), 'updated' (info), 'data' (id, data),
+    // 'input' (id, data), 'exit' (id, code, requested), 'respawned' (info), 'closed' (id).
+    // `restored`: the instance was already running when this server connected to the host
+    this.events = new EventEmitter();
+  }
+
+  /**
+   * Connect to the host, starting it first if it is not running
+   */
+  async connect() {
+    try {
+      await this._openSocket();
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ECONNREFUSED') {
+        throw error;
+      }
+      this._spawnHost();
+      await this._waitForHost();
+    }
+
+    await this._sync();
+  }
+
+  _openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(this.socketPath);
+
+      socket.once('connect', () => {
+        socket.removeListener('error', reject);
+        this.socket = socket;
+        onMessage(socket, (message) => this._handleMessage(message));
+        socket.on('close', () => this._handleDisconnect());
+        socket.on('error', (error) => console.error('PTY host connection error:', error.message));
+        resolve();
+      });
+
+      socket.once('error', reject);
+    });
+  }
+
+  _spawnHost() {
+    console.log('Starting PTY host...');
+    mkdirSync(config.dataDir, { recursive: true });
+    const log = openSync(HOST_LOG, 'a');
+
+    const child = spawn(process.execPath, [HOST_SCRIPT], {
+      detached: true,
+      stdio: ['ignore', log, log],
+      env: process.env,
+      windowsHide: true,
+    });
+    child.unref();
+    closeSync(log);
+  }
+
+  async _waitForHost() {
+    const deadline = Date.now() + config.ptyHost.startTimeout;
+
+    while (true) {
+      try {
+        await this._openSocket();
+        return;
+      } catch (error) {
+        if (Date.now() > deadline) {
+          throw new Error(`PTY host did not start (see ${HOST_LOG})`);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 200));
+      }
+    }
+  }
+
+  // Rebuild the mirror from the host's current state
+  async _sync() {
+    const { instances } = await this._call('sync');
+    const seen = new Set();
+
+    for (const { exitCode, ...info } of instances) {
+      seen.add(info.id);
+      const previous = this.instances.get(info.id);
+      const wasRunning = previous && previous.status !== 'exited';
+      const instance = this._mirror(info);
+      instance.scrollback.clear();
+      instance.scrollback.push(info.scrollback);
+      // Instances already running at connect time, or restored by a new host
+      if (!previous) {
+        const { scrollback, ...metadata } = info;
+        this.events.emit('created', metadata, { restored: true });
+      } else if (wasRunning && info.status === 'exited') {
+        // Exited while we were disconnected
+        this._onExit(instance, exitCode, false);
+      }
+    }
+
+    // Instances that vanished while we were disconnected (host restarted)
+    for (const id of this.instances.keys()) {
+      if (!seen.has(id)) {
+        this.instances.delete(id);
+        this.events.emit('closed', id);
+      }
+    }
+  }
+
+  _mirror(info) {
+    let instance = this.instances.get(info.id);
+    if (!instance) {
+      instance = {
+        listeners: new Set(),
+        dataListeners: new Set(),
+        scrollback: new ScrollbackBuffer(config.terminal.scrollbackLimit),
+      };
+      this.instances.set(info.id, instance);
+    }
+
+    const { scrollback, ...metadata } = info;
+    Object.assign(instance, metadata);
+    return instance;
+  }
+
+  _handleDisconnect() {
+    this.socket = null;
+
+    this.pending.forEach(({ reject }) => reject(new Error('PTY host disconnected')));
+    this.pending.clear();
+
+    if (this.closing) return;
+
+    // The host died: start a new one, which restores the registered instances
+    console.error('Lost connection to PTY host, reconnecting...');
+    setTimeout(() => {
+      this.connect().catch((error) => console.error('PTY host reconnection failed:', error.message));
+    }, 1000);
+  }
+
+  _handleMessage(message) {
+    if (message.event) {
+      this._handleEvent(message);
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  _handleEvent(message) {
+    switch (message.event) {
+      case 'created':
+        this._mirror(message.instance);
+        this.events.emit('created', message.instance);
+        break;
+      case 'updated':
+        this._mirror(message.instance);
+        this.events.emit('updated', message.instance);
+        break;
+      case 'data': {
+        const instance = this.instances.get(message.id);
+        if (!instance) return;
+        instance.scrollback.push(message.data);
+        instance.dataListeners.forEach((callback) => callback(message.data));
+        this.events.emit('data', message.id, message.data);
+        break;
+      }
+      case 'exit': {
+        const instance = this.instances.get(message.id);
+        if (!instance) return;
+        this._onExit(instance, message.code, Boolean(message.requested));
+        break;
+      }
+      case 'respawned':
+        this._mirror(message.instance);
+        this.events.emit('respawned', message.instance);
+        break;
+      case 'closed':
+        if (this.instances.delete(message.id)) {
+          this.events.emit('closed', message.id);
+        }
+        break;
+    }
+  }
+
+  _onExit(instance, code, requested) {
+    instance.status = 'exited';
+    instance.exitCode = code;
+    instance.listeners.forEach((callback) => {
+      callback({ type: 'exit', code });
+    });
+    this.events.emit('exit', instance.id, code, requested);
+  }
+
+  _call(method, params = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error('PTY host not connected'));
+        return;
+      }
+      const id = this.nextRequestId++;
+      this.pending.set(id, { resolve, reject });
+      sendMessage(this.socket, { id, method, params });
+    });
+  }
+
+  _getOrThrow(id) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      throw new Error(`Instance ${id} not found`);
+    }
+    return instance;
+  }
+
+  async create(cwd, options = {}) {
+    const info = await this._call('create', { cwd, options });
+    this._mirror(info);
+    return info;
+  }
+
+  async createShell(cwd) {
+    const info = await this._call('createShell', { cwd });
+    this._mirror(info);
+    return info;
+  }
+
+  async update(id, changes) {
+    this._getOrThrow(id);
+    const info = await this._call('update', { id, changes });
+    this._mirror(info);
+    return info;
+  }
+
+  async respawn(id) {
+    this._getOrThrow(id);
+    const info = await this._call('respawn', { id });
+    this._mirror(info);
+    return info;
+  }
+
+  async restart(id) {
+    this._getOrThrow(id);
+    const info = await this._call('restart', { id });
+    this._mirror(info);
+    return info;
+  }
+
+  async setRecording(id, enabled) {
+    this._getOrThrow(id);
+    const info = await this._call('setRecording', { id, enabled });
+    this._mirror(info);
+    return info;
+  }
+
+  get(id) {
+    return this.instances.get(id) || null;
+  }
+
+  getScrollback(id) {
+    return this._getOrThrow(id).scrollback.toString();
+  }
+
+  list() {
+    return Array.from(this.instances.values()).map(toInstanceInfo);
+  }
+
+  async close(id) {
+    this._getOrThrow(id);
+    await this._call('close', { id });
+  }
+
+  // Stop the host and every instance (they are restored when the host starts again)
+  async shutdownHost() {
+    this.closing = true;
+    await this._call('shutdown');
+  }
+
+  // Detach from the host, leaving instances running
+  disconnect() {
+    this.closing = true;
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+
+  write(id, data) {
+    this._getOrThrow(id);
+    this._call('write', { id, data }).catch((error) => console.error('PTY write failed:', error.message));
+    this.events.emit('input', id, data);
+  }
+
+  resize(id, cols, rows) {
+    const instance = this._getOrThrow(id);
+    this._call('resize', { id, cols, rows }).catch((error) => console.error('PTY resize failed:', error.message));
+    Object.assign(instance, { cols, rows });
+  }
+
+  onData(id, callback) {
+    const instance = this._getOrThrow(id);
+    instance.dataListeners.add(callback);
+    return {
+      dispose: () => instance.dataListeners.delete(callback),
+    };
+  }
+
+  addListener(id, callback) {
+    const instance = this.instances.get(id);
+    if (instance) {
+      instance.listeners.add(callback);
+    }
+  }
+
+  removeListener(id, callback) {
+    const instance = this.instances.get(id);
+    if (instance) {
+      instance.listeners.delete(callback);
+    }
+  }
+}
+
+export default PtyHostClient;
@@ -0,0 +1,121 @@
+import net from 'net';
+import { unlinkSync } from 'fs';
+import PtyManager from './pty-manager.js';
+import { getSocketPath, sendMessage, onMessage } from './pty-protocol.js';
+
+// Long-lived process owning every PTY, so the web server can restart or crash
+// without killing running instances. Started on demand by PtyHostClient.
+
+const socketPath = getSocketPath();
+const ptyManager = new PtyManager();
+const clients = new Set();
+
+const broadcast = (message) => {
+  clients.forEach((socket) => sendMessage(socket, message));
+};
+
+ptyManager.events.on('created', (instance) => broadcast({ event: 'created', instance }));
+ptyManager.events.on('updated', (instance) => broadcast({ event: 'updated', instance }));
+ptyManager.events.on('data', (id, data) => broadcast({ event: 'data', id, data }));
+ptyManager.events.on('exit', (id, code, requested) => broadcast({ event: 'exit', id, code, requested }));
+ptyManager.events.on('respawned', (instance) => broadcast({ event: 'respawned', instance }));
+ptyManager.events.on('closed', (id) => broadcast({ event: 'closed', id }));
+
+// Methods callable by the web server
+const methods = {
+  sync: () => ({
+    instances: ptyManager.list().map((instance) => ({
+      ...instance,
+      exitCode: ptyManager.get(instance.id).exitCode ?? null,
+      scrollback: ptyManager.getScrollback(instance.id),
+    })),
+  }),
+  create: ({ cwd, options }) => ptyManager.create(cwd, options),
+  createShell: ({ cwd }) => ptyManager.createShell(cwd),
+  update: ({ id, changes }) => ptyManager.update(id, changes),
+  setRecording: ({ id, enabled }) => ptyManager.setRecording(id, enabled),
+  respawn: ({ id }) => ptyManager.respawn(id),
+  restart: ({ id }) => ptyManager.restart(id),
+  close: ({ id }) => ptyManager.close(id),
+  write: ({ id, data }) => ptyManager.write(id, data),
+  resize: ({ id, cols, rows }) => ptyManager.resize(id, cols, rows),
+  shutdown: async () => {
+    // Instances stay registered and are restored when the host starts again
+    await ptyManager.closeAll();
+    // Let the response go out before exiting
+    setTimeout(() => process.exit(0), 100);
+  },
+};
+
+async function handleRequest(socket, { id, method, params = {} }) {
+  if (!methods[method]) {
+    sendMessage(socket, { id, error: `Unknown method: ${method}` });
+    return;
+  }
+
+  try {
+    const result = await methods[method](params);
+    sendMessage(socket, { id, result: result ?? null });
+  } catch (error) {
+    sendMessage(socket, { id, error: error.message });
+  }
+}
+
+const server = net.createServer((socket) => {
+  clients.add(socket);
+  onMessage(socket, (message) => handleRequest(socket, message));
+  socket.on('close', () => clients.delete(socket));
+  socket.on('error', () => clients.delete(socket));
+});
+
+server.once('listening', () => {
+  const restored = ptyManager.restore();
+  console.log(`PTY host listening on ${socketPath} (pid ${process.pid}, ${restored.length} instance(s) restored)`);
+});
+
+server.on('error', (error) => {
+  if (error.code !== 'EADDRINUSE') {
+    console.error('PTY host error:', error);
+    process.exit(1);
+  }
+
+  // Either another host is running, or a previous one left a stale socket file behind
+  const probe = net.connect(socketPath);
+  probe.on('connect', () => {
+    console.log('PTY host already running, exiting');
+    probe.destroy();
+    process.exit(0);
+  });
+  probe.on('error', () => {
+    if (process.platform !== 'win32') {
+      try {
+        unlinkSync(socketPath);
+      } catch (e) {
+        // Ignore, listen will report the real problem
+      }
+    }
+    server.listen(socketPath);
+  });
+});
+
+const shutdown = async () => {
+  console.log('PTY host shutting down...');
+  await ptyManager.closeAll();
+  process.exit(0);
+};
+
+// Remove the socket file so the next host does not have to probe it
+process.on('exit', () => {
+  if (server.listening && process.platform !== 'win32') {
+    try {
+      unlinkSync(socketPath);
+    } catch (e) {
+      // Ignore
+    }
+  }
+});
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+server.listen(socketPath);
@@ -1,105 +1,394 @@
 import pty from 'node-pty';
 import { randomUUID } from 'crypto';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { EventEmitter } from 'events';
 import config from './config.js';
+import InstanceRegistry from './instance-registry.js';
+import ScrollbackBuffer from './scrollback.js';
+import AsciicastRecorder from './asciicast.js';
+import { sessionExists } from './claude-sessions.js';
+import { getClaudeCommand, getShellCommand } from './platform.js';
+import { toInstanceInfo } from './pty-protocol.js';
+
+// User-editable metadata: display labels, pinning (never reaped) and restart policy
+const EDITABLE_FIELDS = ['name', 'note', 'color', 'pinned', 'restartPolicy'];
 
 class PtyManager {
-  constructor(maxInstances = config.maxInstances) {
+  constructor(maxInstances = config.maxInstances, scrollbackLimit = config.terminal.scrollbackLimit, registry = new InstanceRegistry()) {
     this.maxInstances = maxInstances;
+    this.scrollbackLimit = scrollbackLimit;
+    this.registry = registry;
     this.instances = new Map();
+    // Lifecycle for all instances: 'created' (info), 'updated' (info), 'data' (id, data),
+    // 'input' (id, data), 'exit' (id, code, requested), 'respawned' (info), 'closed' (id)
+    this.events = new EventEmitter();
   }
 
-  create(cwd) {
-    return this._createInstance(cwd, 'claude');
+  /**
+   * Start a Claude instance. With `options.forkOf` (an instance id), the new instance
+   * continues that instance's conversation in a session of its own.
+   */
+  create(cwd, options = {}) {
+    return this._createInstance(cwd, 'claude', options.forkOf ? this._getForkOptions(options.forkOf) : options);
   }
 
   createShell(cwd) {
     return this._createInstance(cwd, 'shell');
   }
 
-  _createInstance(cwd, type = 'claude') {
-    if (this.instances.size >= this.maxInstances) {
+  // Same launch args and labels as the source, and a new session branching off its conversation
+  _getForkOptions(id) {
+    const source = this.instances.get(id);
+    if (!source) {
+      throw new Error(`Instance ${id} not found`);
+    }
+    if (source.type !== 'claude') {
+      throw new Error('Cannot fork a shell instance');
+    }
+    if (!sessionExists(source.cwd, source.sessionId)) {
+      throw new Error('Cannot fork an instance before its conversation has started');
+    }
+    return {
+      args: source.args,
+      env: source.env,
+      profileId: source.profileId,
+      name: source.name ? `${source.name} (fork)` : null,
+      color: source.color,
+      forkSessionId: source.sessionId,
+    };
+  }
+
+  // Respawn the Claude instances saved before the last shutdown, resuming their conversations
+  restore() {
+    const restored = [];
+
+    for (const record of this.registry.list()) {
+      if (!existsSync(record.cwd)) {
+        this.registry.delete(record.id);
+        continue;
+      }
+      try {
+        restored.push(this._createInstance(record.cwd, 'claude', { ...record, resume: true }));
+      } catch (error) {
+        console.error(`Failed to restore instance ${record.id} (${record.cwd}):`, error.message);
+        // Over the limit: kept for the next startup rather than losing the conversation
+        if (!error.message.includes('Maximum instances')) {
+          this.registry.delete(record.id);
+        }
+      }
+    }
+
+    return restored;
+  }
+
+  _createInstance(cwd, type = 'claude', options = {}) {
+    this._checkLimit();
+
+    const launchEnv = options.env || {};
+    const instance = {
+      id: options.id || randomUUID(),
+      pty: null,
+      pid: null,
+      cwd,
+      type,
+      // Claude instance: pin the session id so the conversation can be resumed later
+      sessionId: type === 'claude' ? options.sessionId || randomUUID() : null,
+      profileId: options.profileId || null,
+      name: options.name || null,
+      note: options.note || null,
+      color: options.color || null,
+      pinned: options.pinned || null,
+      restartPolicy: options.restartPolicy || null,
+      args: options.args || [],
+      env: launchEnv,
+      status: 'active',
+      createdAt: options.createdAt || new Date().toISOString(),
+      closing: false,
+      listeners: new Set(),
+      dataListeners: new Set(),
+      scrollback: new ScrollbackBuffer(this.scrollbackLimit),
+      cols: config.terminal.defaultCols,
+      rows: config.terminal.defaultRows,
+      command: null,
+      record: Boolean(options.record ?? config.recordings.enabledByDefault),
+      recorder: null,
+      recording: null,
+    };
+
+    this._spawn(instance, {
+      resume: options.resume,
+      forkSessionId: options.forkSessionId,
+    });
+    this.instances.set(instance.id, instance);
+    this._register(instance);
+
+    const info = toInstanceInfo(instance);
+    this.events.emit('created', info);
+    return info;
+  }
+
+  /**
+   * Start a new process for an exited instance: same id, cwd, launch args, labels and
+   * scrollback. Claude instances resume their session.
+   */
+  respawn(id) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      throw new Error(`Instance ${id} not found`);
+    }
+    if (instance.status !== 'exited') {
+      throw new Error(`Instance ${id} is still running`);
+    }
+    this._checkLimit();
+    return this._respawn(instance);
+  }
+
+  /**
+   * Stop an instance if it is running, then respawn it in place.
+   * A running instance keeps its slot, so this never hits the instance limit.
+   */
+  async restart(id) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      throw new Error(`Instance ${id} not found`);
+    }
+    if (instance.status === 'exited') {
+      return this.respawn(id);
+    }
+
+    instance.closing = true;
+    await this._stop(instance);
+    return this._respawn(instance);
+  }
+
+  _respawn(instance) {
+    const { id } = instance;
+    // Still recording if the previous process was killed on timeout and never reported its exit
+    this._stopRecording(instance);
+
+    // Mark the restart in the output replayed to clients
+    const separator = '\r\n\x1b[2m--- Redémarrage ---\x1b[0m\r\n';
+    instance.scrollback.push(separator);
+    instance.dataListeners.forEach((callback) => callback(separator));
+    this.events.emit('data', id, separator);
+
+    instance.closing = false;
+    this._spawn(instance, { resume: true });
+    this._register(instance);
+
+    const info = toInstanceInfo(instance);
+    this.events.emit('respawned', info);
+    return info;
+  }
+
+  _checkLimit() {
+    // Exited instances stay listed until closed but no longer hold a slot
+    const running = Array.from(this.instances.values()).filter((instance) => instance.status !== 'exited').length;
+    if (running >= this.maxInstances) {
       throw new Error(`Maximum instances limit reached (${this.maxInstances})`);
     }
+  }
 
-    const id = randomUUID();
+  _spawn(instance, { resume = false, forkSessionId } = {}) {
+    const { id, cwd } = instance;
+    const env = { ...config.pty.env, ...instance.env };
 
     // Choose shell and args based on type
     let shell, args;
-    if (type === 'shell') {
+    if (instance.type === 'shell') {
       // Standard shell terminal
-      shell = process.env.COMSPEC || 'cmd.exe';
-      args = [];
+      ({ file: shell, args } = getShellCommand(env));
     } else {
-      // Claude instance
-      shell = config.pty.shell;
-      args = config.pty.args;
+      // A session that never received a message has no log on disk and cannot be resumed
+      const resumeSession = resume && sessionExists(cwd, instance.sessionId);
+      const claude = getClaudeCommand(env);
+      shell = claude.file;
+      args = forkSessionId
+        // Copy of the source conversation, saved under this instance's own session id
+        ? [...claude.args, ...instance.args, '--resume', forkSessionId, '--fork-session', '--session-id', instance.sessionId]
+        : [...claude.args, ...instance.args, resumeSession ? '--resume' : '--session-id', instance.sessionId];
     }
 
     const ptyProcess = pty.spawn(shell, args, {
       name: 'xterm-256color',
-      cols: config.terminal.defaultCols,
-      rows: config.terminal.defaultRows,
+      cols: instance.cols,
+      rows: instance.rows,
       cwd: cwd,
-      env: config.pty.env,
+      env,
     });
 
-    const instance = {
-      id,
+    Object.assign(instance, {
       pty: ptyProcess,
-      cwd,
-      type,
+      pid: ptyProcess.pid,
       status: 'active',
-      createdAt: new Date().toISOString(),
-      listeners: new Set(),
-    };
+      exitCode: undefined,
+      command: [shell, ...args].join(' '),
+    });
+
+    if (instance.record) {
+      this._startRecording(instance);
+    }
+
+    // Keep a bounded copy of the output so reconnecting clients can be replayed
+    ptyProcess.onData((data) => {
+      instance.scrollback.push(data);
+      instance.recorder?.output(data);
+      instance.dataListeners.forEach((callback) => callback(data));
+      this.events.emit('data', id, data);
+    });
 
     ptyProcess.onExit(({ exitCode }) => {
+      // A process killed on timeout may exit after its replacement started
+      if (instance.pty !== ptyProcess) return;
       instance.status = 'exited';
       instance.exitCode = exitCode;
+      this._stopRecording(instance);
+      // Claude quit on its own: nothing to resume at next startup
+      if (!instance.closing) {
+        this.registry.delete(id);
+      }
       instance.listeners.forEach((callback) => {
         callback({ type: 'exit', code: exitCode });
       });
+      // `requested`: the exit follows a close or restart, not a crash
+      this.events.emit('exit', id, exitCode, instance.closing);
+    });
+  }
+
+  // Claude instances are saved so restore() can bring them back after a restart
+  _register(instance) {
+    if (instance.type !== 'claude') return;
+
+    this.registry.set({
+      id: instance.id,
+      cwd: instance.cwd,
+      type: instance.type,
+      args: instance.args,
+      env: instance.env,
+      profileId: instance.profileId,
+      sessionId: instance.sessionId,
+      name: instance.name,
+      note: instance.note,
+      color: instance.color,
+      pinned: instance.pinned,
+      restartPolicy: instance.restartPolicy,
+      record: instance.record,
+      createdAt: instance.createdAt,
     });
+  }
+
+  // Set display labels, pinning and/or restart policy (null clears a field)
+  update(id, changes) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      throw new Error(`Instance ${id} not found`);
+    }
+
+    const fields = {};
+    for (const field of EDITABLE_FIELDS) {
+      if (field in changes) {
+        fields[field] = changes[field] || null;
+      }
+    }
+
+    Object.assign(instance, fields);
+    this.registry.update(id, fields);
 
-    this.instances.set(id, instance);
+    const info = toInstanceInfo(instance);
+    this.events.emit('updated', info);
+    return info;
+  }
+
+  // Start or stop recording an instance's output to an asciicast file
+  setRecording(id, enabled) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      throw new Error(`Instance ${id} not found`);
+    }
+    if (enabled && instance.status === 'exited') {
+      throw new Error(`Instance ${id} has exited`);
+    }
+
+    if (enabled && !instance.recorder) {
+      this._startRecording(instance);
+    } else if (!enabled && instance.recorder) {
+      this._stopRecording(instance);
+    }
+    // Respawned and restored instances keep recording, in a new file
+    instance.record = Boolean(enabled);
+    this.registry.update(id, { record: instance.record });
+
+    const info = toInstanceInfo(instance);
+    this.events.emit('updated', info);
+    return info;
+  }
+
+  _startRecording(instance) {
+    const startedAt = new Date().toISOString().replace(/[:.]/g, '-');
+    const fileName = `${startedAt}_${instance.id.slice(0, 8)}.cast`;
+    const folderName = instance.cwd.split(/[/\\]/).pop() || instance.cwd;
+
+    instance.recorder = new AsciicastRecorder(join(config.recordings.dir, fileName), {
+      width: instance.cols,
+      height: instance.rows,
+      title: `${instance.name || folderName} (${instance.cwd})`,
+      command: instance.command,
+    });
+    instance.recording = fileName;
+  }
 
-    return { id, cwd, type, status: instance.status, createdAt: instance.createdAt };
+  _stopRecording(instance) {
+    if (!instance.recorder) return;
+    instance.recorder.close();
+    instance.recorder = null;
+    instance.recording = null;
   }
 
   get(id) {
     return this.instances.get(id) || null;
   }
 
+  getScrollback(id) {
+    const instance = this.instances.get(id);
+    if (!instance) {
+      throw new Error(`Instance ${id} not found`);
+    }
+    return instance.scrollback.toString();
+  }
+
   list() {
-    return Array.from(this.instances.values()).map(({ id, cwd, type, status, createdAt }) => ({
-      id,
-      cwd,
-      type: type || 'claude',
-      status,
-      createdAt,
-    }));
+    return Array.from(this.instances.values()).map(toInstanceInfo);
   }
 
-  async close(id) {
+  // `forget: false` keeps the instance in the registry so it is respawned at next startup
+  async close(id, { forget = true } = {}) {
     const instance = this.instances.get(id);
     if (!instance) {
       throw new Error(`Instance ${id} not found`);
     }
 
-    // If already exited, just clean up
-    if (instance.status === 'exited') {
-      this.instances.delete(id);
-      return;
+    instance.closing = true;
+    if (forget) {
+      this.registry.delete(id);
     }
 
+    if (instance.status !== 'exited') {
+      await this._stop(instance);
+    }
+    this.instances.delete(id);
+    this.events.emit('closed', id);
+  }
+
+  // Resolves once the process has exited, or has been killed after gracefulShutdownTimeout
+  _stop(instance) {
     return new Promise((resolve) => {
       let resolved = false;
 
-      const cleanup = () => {
+      const done = () => {
         if (resolved) return;
         resolved = true;
         clearTimeout(timeout);
-        this.instances.delete(id);
         resolve();
       };
 
@@ -110,16 +399,16 @@ class PtyManager {
         } catch (e) {
           // Ignore errors during force kill
         }
-        cleanup();
+        done();
       }, config.gracefulShutdownTimeout);
 
       // Listen for exit
       instance.pty.onExit(() => {
-        cleanup();
+        done();
       });
 
       // On Windows, send Ctrl+C first, then kill
-      // On Unix, SIGTERM works fine
+      // On Unix, hang up like a closed terminal window (interactive shells ignore SIGTERM)
       if (process.platform === 'win32') {
         // Send Ctrl+C to gracefully terminate
         try {
@@ -138,13 +427,14 @@ class PtyManager {
           }
         }, 1000);
       } else {
-        instance.pty.kill('SIGTERM');
+        instance.pty.kill('SIGHUP');
       }
     });
   }
 
+  // Used on shutdown/restart: instances are stopped but stay registered for restore()
   async closeAll() {
-    const closePromises = Array.from(this.instances.keys()).map((id) => this.close(id));
+    const closePromises = Array.from(this.instances.keys()).map((id) => this.close(id, { forget: false }));
     await Promise.all(closePromises);
   }
 
@@ -154,6 +444,7 @@ class PtyManager {
       throw new Error(`Instance ${id} not found`);
     }
     instance.pty.write(data);
+    this.events.emit('input', id, data);
   }
 
   resize(id, cols, rows) {
@@ -162,6 +453,9 @@ class PtyManager {
       throw new Error(`Instance ${id} not found`);
     }
     instance.pty.resize(cols, rows);
+    instance.cols = cols;
+    instance.rows = rows;
+    instance.recorder?.resize(cols, rows);
   }
 
   onData(id, callback) {
@@ -169,7 +463,9 @@ class PtyManager {
     if (!instance) {
       throw new Error(`Instance ${id} not found`);
     }
-    return instance.pty.onData(callback);
+    // Kept on the instance rather than the process, so that subscribers survive a respawn
+    instance.dataListeners.add(callback);
+    return { dispose: () => instance.dataListeners.delete(callback) };
   }
 
   addListener(id, callback) {
@@ -0,0 +1,88 @@
+import { mkdirSync, chmodSync } from 'fs';
+import { join } from 'path';
+import config from './config.js';
+
+/**
+ * Local endpoint of the PTY host: a named pipe on Windows, a Unix socket elsewhere.
+ * Whoever can connect to it drives every PTY, so the socket lives in a directory only
+ * the current user can enter ($XDG_RUNTIME_DIR, or data/run with 0700 permissions),
+ * never in the shared temp dir where another user could take its name first.
+ */
+export function getSocketPath() {
+  if (config.ptyHost.socketPath) {
+    return config.ptyHost.socketPath;
+  }
+  if (process.platform === 'win32') {
+    return '\\\\.\\pipe\\claude-code-ui-pty-host';
+  }
+
+  if (process.env.XDG_RUNTIME_DIR) {
+    return join(process.env.XDG_RUNTIME_DIR, 'claude-code-ui-pty-host.sock');
+  }
+  const dir = join(config.dataDir, 'run');
+  mkdirSync(dir, { recursive: true, mode: 0o700 });
+  // mkdir leaves the mode of an existing directory as it was
+  chmodSync(dir, 0o700);
+  return join(dir, 'pty-host.sock');
+}
+
+/**
+ * Public view of an instance, as sent to the web server and returned by the REST API
+ */
+export function toInstanceInfo({ id, pid, cwd, type, sessionId, profileId, name, note, color, pinned, restartPolicy, recording, status, createdAt, cols, rows }) {
+  return {
+    id,
+    pid: pid || null,
+    cwd,
+    type: type || 'claude',
+    sessionId,
+    profileId,
+    name: name || null,
+    note: note || null,
+    color: color || null,
+    pinned: Boolean(pinned),
+    restartPolicy: restartPolicy || null,
+    recording: recording || null,
+    status,
+    createdAt,
+    cols,
+    rows,
+  };
+}
+
+/**
+ * Messages are newline-delimited JSON:
+ *   request  { id, method, params }
+ *   response { id, result } | { id, error }
+ *   event    { event, ... }
+ */
+export function sendMessage(socket, message) {
+  if (!socket.destroyed) {
+    socket.write(JSON.stringify(message) + '\n');
+  }
+}
+
+export function onMessage(socket, callback) {
+  let buffer = '';
+  socket.setEncoding('utf-8');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        console.error('Invalid PTY host message:', error.message);
+        continue;
+      }
+      callback(message);
+    }
+  });
+}
@@ -0,0 +1,99 @@
+import { EventEmitter } from 'events';
+import config from './config.js';
+
+// States in which an instance is waiting on nobody
+const IDLE_STATES = ['waiting-for-input', 'idle'];
+
+/**
+ * Closes instances nobody uses anymore, unless they are pinned:
+ * exited ones after `exitedAfter`, idle ones after `idleAfter` (warned `warnBefore` ahead).
+ * A delay of 0 disables that policy.
+ * Emits 'warning' (info, closesAt) and 'reaped' (info, reason) on `events`.
+ */
+class Reaper {
+  constructor(ptyManager, statusTracker, history, options = config.reaping) {
+    this.ptyManager = ptyManager;
+    this.statusTracker = statusTracker;
+    this.history = history;
+    this.options = options;
+    this.exitedAt = new Map();
+    this.idleSince = new Map();
+    this.warned = new Set();
+    this.reaping = new Set();            // Closes in progress
+    this.events = new EventEmitter();
+
+    ptyManager.events.on('exit', (id) => this.exitedAt.set(id, Date.now()));
+    ptyManager.events.on('closed', (id) => this._forget(id));
+    statusTracker.events.on('change', (id, state, previousState) => {
+      // Leaving 'idle' for 'waiting-for-input' means someone typed: the idle period starts over
+      if (!IDLE_STATES.includes(state) || previousState === 'idle') {
+        this.idleSince.delete(id);
+        this.warned.delete(id);
+      }
+      if (IDLE_STATES.includes(state) && !this.idleSince.has(id)) {
+        this.idleSince.set(id, Date.now());
+      }
+    });
+
+    this.timer = setInterval(() => this.check(), options.checkInterval);
+    this.timer.unref();
+  }
+
+  check() {
+    const now = Date.now();
+    const { exitedAfter, idleAfter, warnBefore } = this.options;
+
+    for (const info of this.ptyManager.list()) {
+      if (info.pinned || this.reaping.has(info.id)) continue;
+
+      if (info.status === 'exited') {
+        // Already exited when the server started
+        if (!this.exitedAt.has(info.id)) this.exitedAt.set(info.id, now);
+        if (exitedAfter && now - this.exitedAt.get(info.id) >= exitedAfter) {
+          this._reap(info, 'reaped-exited');
+        }
+        continue;
+      }
+
+      if (!idleAfter) continue;
+      const { state, stateSince } = this.statusTracker.get(info.id);
+      if (!IDLE_STATES.includes(state)) continue;
+      if (!this.idleSince.has(info.id)) {
+        this.idleSince.set(info.id, Date.parse(stateSince) || now);
+      }
+
+      const closesAt = this.idleSince.get(info.id) + idleAfter;
+      if (now >= closesAt) {
+        this._reap(info, 'reaped-idle');
+      } else if (now >= closesAt - warnBefore && !this.warned.has(info.id)) {
+        this.warned.add(info.id);
+        this.events.emit('warning', info, new Date(closesAt).toISOString());
+      }
+    }
+  }
+
+  async _reap(info, reason) {
+    this.reaping.add(info.id);
+    this.history.setReason(info.id, reason);
+    try {
+      await this.ptyManager.close(info.id);
+      this.events.emit('reaped', info, reason);
+    } catch (error) {
+      console.error(`Failed to reap instance ${info.id}:`, error.message);
+    } finally {
+      this.reaping.delete(info.id);
+    }
+  }
+
+  _forget(id) {
+    this.exitedAt.delete(id);
+    this.idleSince.delete(id);
+    this.warned.delete(id);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+export default Reaper;
@@ -0,0 +1,85 @@
+import { existsSync, readdirSync, statSync, openSync, readSync, closeSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import config from './config.js';
+
+const NAME_PATTERN = /^[\w.-]+\.cast$/;
+// Enough to hold the header line, or the last event line
+const PEEK_SIZE = 64 * 1024;
+
+/**
+ * Path of a recording, rejecting names that could escape the recordings directory
+ */
+export function getRecordingPath(name, dir = config.recordings.dir) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error('Invalid recording name');
+  }
+  const filePath = join(dir, name);
+  if (!existsSync(filePath)) {
+    throw new Error(`Recording ${name} not found`);
+  }
+  return filePath;
+}
+
+function readChunk(filePath, position, length) {
+  const fd = openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = readSync(fd, buffer, 0, length, position);
+    return buffer.toString('utf-8', 0, bytesRead);
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Header fields and duration, read from the first and last lines only
+function describe(name, dir) {
+  const filePath = join(dir, name);
+  const { size, mtime } = statSync(filePath);
+
+  let header = {};
+  try {
+    header = JSON.parse(readChunk(filePath, 0, Math.min(size, PEEK_SIZE)).split('\n')[0]);
+  } catch (error) {
+    // Header still being written or corrupt: list the file anyway
+  }
+
+  let duration = 0;
+  const lines = readChunk(filePath, Math.max(0, size - PEEK_SIZE), Math.min(size, PEEK_SIZE)).split('\n');
+  for (let i = lines.length - 1; i >= 0; i--) {
+    try {
+      const event = JSON.parse(lines[i]);
+      if (Array.isArray(event)) {
+        duration = event[0];
+        break;
+      }
+    } catch (error) {
+      // Partial line at the start of the chunk or end of an active recording
+    }
+  }
+
+  return {
+    name,
+    title: header.title || name,
+    width: header.width,
+    height: header.height,
+    startedAt: header.timestamp ? new Date(header.timestamp * 1000).toISOString() : mtime.toISOString(),
+    duration,
+    size,
+  };
+}
+
+/**
+ * Recordings on disk, most recent first
+ */
+export function listRecordings(dir = config.recordings.dir) {
+  if (!existsSync(dir)) return [];
+
+  return readdirSync(dir)
+    .filter((name) => NAME_PATTERN.test(name))
+    .map((name) => describe(name, dir))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+export function deleteRecording(name, dir = config.recordings.dir) {
+  unlinkSync(getRecordingPath(name, dir));
+}
@@ -0,0 +1,110 @@
+import { EventEmitter } from 'events';
+import config from './config.js';
+
+export const RESTART_MODES = ['never', 'on-failure'];
+
+/**
+ * Validate a restart policy from user input: null, or { mode, maxRetries, backoff (ms) }
+ */
+export function normalizeRestartPolicy(policy, defaults = config.restart) {
+  if (policy === null) return null;
+  if (typeof policy !== 'object' || !RESTART_MODES.includes(policy.mode)) {
+    throw new Error(`restartPolicy.mode must be one of: ${RESTART_MODES.join(', ')}`);
+  }
+  if (policy.mode === 'never') return null;
+
+  const maxRetries = policy.maxRetries ?? defaults.maxRetries;
+  const backoff = policy.backoff ?? defaults.backoff;
+  if (!Number.isInteger(maxRetries) || maxRetries < 1 || maxRetries > 100) {
+    throw new Error('restartPolicy.maxRetries must be an integer between 1 and 100');
+  }
+  if (!Number.isInteger(backoff) || backoff < 1000) {
+    throw new Error('restartPolicy.backoff must be at least 1000 ms');
+  }
+  return { mode: policy.mode, maxRetries, backoff };
+}
+
+/**
+ * Respawns instances whose restart policy is 'on-failure' when they exit with a
+ * non-zero code: after `backoff`, doubled on each consecutive retry, up to `maxRetries`.
+ * An instance that stayed up `stableAfter` starts counting retries from zero again.
+ * Emits 'scheduled' (id, { attempt, maxRetries, restartAt }), 'abandoned' (id, attempts)
+ * and 'failed' (id, error) on `events`.
+ */
+class RestartSupervisor {
+  constructor(ptyManager, history, options = config.restart) {
+    this.ptyManager = ptyManager;
+    this.history = history;
+    this.options = options;
+    this.attempts = new Map();           // Instance id -> consecutive restarts
+    this.startedAt = new Map();
+    this.timers = new Map();
+    this.events = new EventEmitter();
+
+    const { events } = ptyManager;
+    // An instance found running at startup has been up since its creation, not since now
+    events.on('created', (info, { restored } = {}) => {
+      this.startedAt.set(info.id, restored ? Date.parse(info.createdAt) || Date.now() : Date.now());
+    });
+    events.on('respawned', (info) => {
+      // Restarted by hand in the meantime
+      clearTimeout(this.timers.get(info.id));
+      this.timers.delete(info.id);
+      this.startedAt.set(info.id, Date.now());
+    });
+    events.on('exit', (id, code, requested) => {
+      if (!requested) this._onExit(id, code);
+    });
+    events.on('closed', (id) => {
+      // Closed while waiting to restart: stay closed
+      clearTimeout(this.timers.get(id));
+      this.timers.delete(id);
+      this.attempts.delete(id);
+      this.startedAt.delete(id);
+    });
+  }
+
+  _onExit(id, code) {
+    const policy = this.ptyManager.get(id)?.restartPolicy;
+    if (!policy || policy.mode !== 'on-failure' || code === 0) return;
+
+    if (Date.now() - (this.startedAt.get(id) || 0) >= this.options.stableAfter) {
+      this.attempts.delete(id);
+    }
+    const attempt = (this.attempts.get(id) || 0) + 1;
+
+    if (attempt > policy.maxRetries) {
+      this.history.log(id, 'restart-abandoned', { attempts: attempt - 1, code });
+      this.events.emit('abandoned', id, attempt - 1);
+      return;
+    }
+
+    const delay = Math.min(policy.backoff * 2 ** (attempt - 1), this.options.maxBackoff);
+    this.attempts.set(id, attempt);
+    this.history.log(id, 'restart-scheduled', { attempt, delay, code });
+    this.events.emit('scheduled', id, {
+      attempt,
+      maxRetries: policy.maxRetries,
+      restartAt: new Date(Date.now() + delay).toISOString(),
+    });
+
+    this.timers.set(id, setTimeout(() => this._restart(id, attempt), delay));
+  }
+
+  async _restart(id, attempt) {
+    this.timers.delete(id);
+    try {
+      await this.ptyManager.respawn(id);
+    } catch (error) {
+      this.history.log(id, 'restart-failed', { attempt, error: error.message });
+      this.events.emit('failed', id, error);
+    }
+  }
+
+  stop() {
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+export default RestartSupervisor;
@@ -0,0 +1,190 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import config from './config.js';
+import { readJson, writeJson } from './json-store.js';
+import { parseCron, getNextRun } from './cron.js';
+import LaunchProfiles from './launch-profiles.js';
+
+const SCHEDULES_FILE = join(config.dataDir, 'schedules.json');
+// Runs kept in each schedule's history
+const RUN_HISTORY_LIMIT = 20;
+// Characters kept of each run's final result
+const RESULT_LIMIT = 20000;
+
+/**
+ * Prompts run headless on a cron schedule. Each run is a job of `jobRunner` (so it shows
+ * in the Jobs list with its messages); the schedule keeps a history of its runs with
+ * their status, cost and final result. Runs missed while the server was down are skipped.
+ * Emits 'change' (schedule) on `events`.
+ */
+class Scheduler {
+  constructor(jobRunner, launchProfiles, { checkInterval = config.schedules.checkInterval, filePath = SCHEDULES_FILE } = {}) {
+    this.jobRunner = jobRunner;
+    this.launchProfiles = launchProfiles;
+    this.filePath = filePath;
+    this.schedules = readJson(filePath, []);
+    this.events = new EventEmitter();
+
+    const now = new Date();
+    for (const schedule of this.schedules) {
+      schedule.nextRunAt = getNextRunAt(schedule, now);
+      // Runs cut short by a server restart: their job was cancelled with it
+      for (const run of schedule.runs) {
+        if (run.status === 'queued' || run.status === 'running') {
+          run.status = 'cancelled';
+          run.finishedAt = run.finishedAt || now.toISOString();
+        }
+      }
+    }
+    this._save();
+
+    jobRunner.events.on('change', (job) => this._onJobChange(job));
+
+    this.timer = setInterval(() => this.check(), checkInterval);
+    this.timer.unref();
+  }
+
+  list() {
+    return this.schedules.map((schedule) => ({ ...schedule }));
+  }
+
+  get(id) {
+    const schedule = this.schedules.find((s) => s.id === id);
+    if (!schedule) {
+      throw new Error(`Schedule ${id} not found`);
+    }
+    return schedule;
+  }
+
+  /**
+   * Add a schedule: { name, project (path), cron, prompt, profileId, enabled }
+   */
+  create(data) {
+    const schedule = {
+      id: randomUUID(),
+      ...normalize(data),
+      createdAt: new Date().toISOString(),
+      nextRunAt: null,
+      runs: [],
+    };
+    schedule.nextRunAt = getNextRunAt(schedule);
+    this.schedules.push(schedule);
+    this._changed(schedule);
+    return schedule;
+  }
+
+  update(id, data) {
+    const schedule = this.get(id);
+    Object.assign(schedule, normalize({ ...schedule, ...data }));
+    schedule.nextRunAt = getNextRunAt(schedule);
+    this._changed(schedule);
+    return schedule;
+  }
+
+  delete(id) {
+    const schedule = this.get(id);
+    this.schedules = this.schedules.filter((s) => s !== schedule);
+    this._save();
+  }
+
+  // Start every schedule that is due
+  check() {
+    const now = new Date();
+    for (const schedule of this.schedules) {
+      if (schedule.nextRunAt && Date.parse(schedule.nextRunAt) <= now.getTime()) {
+        schedule.nextRunAt = getNextRunAt(schedule, now);
+        this.run(schedule.id);
+      }
+    }
+  }
+
+  /**
+   * Start a run now, whether or not the schedule is due (or enabled)
+   */
+  run(id) {
+    const schedule = this.get(id);
+    const run = {
+      jobId: null,
+      status: 'queued',
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      costUsd: null,
+      result: null,
+      error: null,
+    };
+
+    try {
+      const profile = schedule.profileId ? this.launchProfiles.get(schedule.profileId) : null;
+      if (schedule.profileId && !profile) {
+        throw new Error('Unknown launch profile');
+      }
+      const job = this.jobRunner.start(schedule.project, schedule.prompt, LaunchProfiles.toLaunchOptions(profile));
+      // With a free slot the job is already running: its change events came before we knew its id
+      run.jobId = job.id;
+      run.status = job.status;
+    } catch (error) {
+      run.status = 'failed';
+      run.finishedAt = run.startedAt;
+      run.error = error.message;
+    }
+
+    schedule.runs = [run, ...schedule.runs].slice(0, RUN_HISTORY_LIMIT);
+    this._changed(schedule);
+    return run;
+  }
+
+  _onJobChange(job) {
+    for (const schedule of this.schedules) {
+      const run = schedule.runs.find((r) => r.jobId === job.id);
+      if (!run) continue;
+
+      run.status = job.status;
+      run.finishedAt = job.finishedAt;
+      run.costUsd = job.costUsd;
+      run.result = job.result === null ? null : job.result.slice(0, RESULT_LIMIT);
+      this._changed(schedule);
+      return;
+    }
+  }
+
+  _changed(schedule) {
+    this._save();
+    this.events.emit('change', { ...schedule });
+  }
+
+  _save() {
+    writeJson(this.filePath, this.schedules);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+// Validate user input; throws with a message fit for a 400
+function normalize({ name, project, cron, prompt, profileId, enabled }) {
+  if (typeof project !== 'string' || !project) {
+    throw new Error('project is required');
+  }
+  if (typeof prompt !== 'string' || !prompt.trim()) {
+    throw new Error('prompt is required');
+  }
+  parseCron(cron);
+
+  return {
+    name: typeof name === 'string' && name.trim() ? name.trim() : project.split(/[/\\]/).pop(),
+    project,
+    cron: cron.trim(),
+    prompt,
+    profileId: profileId || null,
+    enabled: enabled !== false,
+  };
+}
+
+function getNextRunAt(schedule, from = new Date()) {
+  if (!schedule.enabled) return null;
+  return getNextRun(schedule.cron, from)?.toISOString() || null;
+}
+
+export default Scheduler;
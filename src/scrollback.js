@@ -0,0 +1,42 @@
+/**
+ * Bounded buffer of raw terminal output, replayed to clients on (re)connection
+ */
+class ScrollbackBuffer {
+  constructor(limit) {
+    this.limit = limit;
+    this.chunks = [];
+    this.size = 0;
+  }
+
+  push(data) {
+    this.chunks.push(data);
+    this.size += data.length;
+
+    // Drop the oldest chunks once over the limit
+    while (this.size > this.limit && this.chunks.length > 1) {
+      this.size -= this.chunks.shift().length;
+    }
+
+    // A single oversized chunk is cut at a line boundary to avoid replaying half an escape sequence
+    if (this.size > this.limit) {
+      let chunk = this.chunks[0].slice(-this.limit);
+      const newline = chunk.indexOf('\n');
+      if (newline !== -1) {
+        chunk = chunk.slice(newline + 1);
+      }
+      this.chunks[0] = chunk;
+      this.size = chunk.length;
+    }
+  }
+
+  clear() {
+    this.chunks = [];
+    this.size = 0;
+  }
+
+  toString() {
+    return this.chunks.join('');
+  }
+}
+
+export default ScrollbackBuffer;
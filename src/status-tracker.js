@@ -0,0 +1,193 @@
+import { EventEmitter } from 'events';
+import config from './config.js';
+import { stripAnsi } from './ansi.js';
+
+export const STATES = ['starting', 'working', 'waiting-for-input', 'waiting-for-permission', 'idle', 'exited'];
+
+// Characters of plain-text output kept per instance for classification
+const TAIL_LENGTH = 4000;
+// Lines at the bottom of the screen that are looked at
+const TAIL_LINES = 12;
+// Erase-line / clear-screen: Claude's TUI erases its previous frame before drawing the next
+const FRAME_START = /\x1b\[2K|\x1b\[[23]J|\x1bc/g;
+
+// Claude's permission dialog
+const PERMISSION_PATTERNS = [
+  /Do you want to (proceed|make this edit|create|run|allow)/i,
+  /don't ask again/i,
+  /No, and tell Claude what to do differently/i,
+  /\(y\/n\)|\[Y\/n\]|\[n\/Y\]|\(yes\/no\)/i,
+];
+
+// Claude's spinner line, or generic progress output
+const WORKING_PATTERNS = [
+  /esc to interrupt/i,
+  /[✢✳✶✻✽⠋⠙⠹⠸⠼⠴⠦⠧⠇⠏]\s*\S+…/,
+];
+
+// Claude's input box and its hints, or a shell prompt
+const INPUT_PATTERNS = [
+  /\? for shortcuts/i,
+  /^\s*[│|]?\s*>\s/m,
+  /[$#%>❯]\s*$/,
+  /press enter/i,
+];
+
+/**
+ * Server-side status of every instance, classified from its output:
+ * starting → working ⇄ waiting-for-input / waiting-for-permission → idle, and exited.
+ * Emits 'change' (id, state, previousState) on `events`.
+ */
+class StatusTracker {
+  constructor(ptyManager, options = config.status) {
+    this.ptyManager = ptyManager;
+    this.idleAfter = options.idleAfter;
+    this.settleDelay = options.settleDelay;
+    this.entries = new Map();
+    this.events = new EventEmitter();
+    // One listener per connected terminal WebSocket
+    this.events.setMaxListeners(0);
+
+    const { events } = ptyManager;
+    events.on('created', (info) => this._track(info));
+    events.on('data', (id, data) => this._onOutput(id, data));
+    events.on('input', (id) => this._onInput(id));
+    events.on('exit', (id) => this._set(id, 'exited'));
+    events.on('respawned', (info) => {
+      // The old scrollback ends with the previous process's prompt: wait for the new one's output
+      this._track(info, { classifyScrollback: false });
+      this.events.emit('change', info.id, 'starting', 'exited');
+    });
+    events.on('closed', (id) => this._untrack(id));
+  }
+
+  /**
+   * { state, stateSince } of an instance
+   */
+  get(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return { state: 'starting', stateSince: null };
+    }
+    return { state: entry.state, stateSince: entry.stateSince };
+  }
+
+  _track(info, { classifyScrollback = true } = {}) {
+    this._untrack(info.id);
+
+    const entry = {
+      state: 'starting',
+      stateSince: new Date().toISOString(),
+      tail: '',
+      settleTimer: null,
+      idleTimer: null,
+    };
+    this.entries.set(info.id, entry);
+
+    if (info.status === 'exited') {
+      entry.state = 'exited';
+      return;
+    }
+    if (!classifyScrollback) return;
+
+    // Already running (e.g. the web server restarted): classify what is on screen
+    let scrollback = '';
+    try {
+      scrollback = this.ptyManager.getScrollback(info.id);
+    } catch (error) {
+      // Not mirrored yet
+    }
+    if (scrollback) {
+      this._onOutput(info.id, scrollback);
+    }
+  }
+
+  _untrack(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    clearTimeout(entry.settleTimer);
+    clearTimeout(entry.idleTimer);
+    this.entries.delete(id);
+  }
+
+  _onOutput(id, data) {
+    const entry = this.entries.get(id);
+    if (!entry || entry.state === 'exited') return;
+
+    // Only the latest frame describes what is on screen now
+    let frameStart = -1;
+    for (const match of data.matchAll(FRAME_START)) {
+      frameStart = match.index + match[0].length;
+    }
+    if (frameStart !== -1) {
+      entry.tail = '';
+      data = data.slice(frameStart);
+    }
+    entry.tail = (entry.tail + stripAnsi(data)).slice(-TAIL_LENGTH);
+
+    // The TUI redraws in bursts: classify once the screen has settled
+    clearTimeout(entry.settleTimer);
+    entry.settleTimer = setTimeout(() => {
+      entry.settleTimer = null;
+      this._classify(id, entry);
+    }, this.settleDelay);
+
+    if (entry.state === 'idle') {
+      this._set(id, 'waiting-for-input');
+    }
+  }
+
+  _onInput(id) {
+    const entry = this.entries.get(id);
+    if (entry && entry.state === 'idle') {
+      this._set(id, 'waiting-for-input');
+    } else if (entry && entry.state === 'waiting-for-input') {
+      this._resetIdleTimer(id, entry);
+    }
+  }
+
+  _classify(id, entry) {
+    const screen = entry.tail.split('\n').filter((line) => line.trim()).slice(-TAIL_LINES).join('\n');
+
+    if (PERMISSION_PATTERNS.some((pattern) => pattern.test(screen))) {
+      this._set(id, 'waiting-for-permission');
+    } else if (WORKING_PATTERNS.some((pattern) => pattern.test(screen))) {
+      this._set(id, 'working');
+    } else if (INPUT_PATTERNS.some((pattern) => pattern.test(screen))) {
+      if (entry.state !== 'idle') {
+        this._set(id, 'waiting-for-input');
+      }
+    } else if (entry.state !== 'starting') {
+      this._set(id, 'working');
+    }
+  }
+
+  _set(id, state) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    if (state === 'waiting-for-input') {
+      this._resetIdleTimer(id, entry);
+    } else {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+    if (state === 'exited') {
+      clearTimeout(entry.settleTimer);
+    }
+
+    if (entry.state === state) return;
+
+    const previous = entry.state;
+    entry.state = state;
+    entry.stateSince = new Date().toISOString();
+    this.events.emit('change', id, state, previous);
+  }
+
+  _resetIdleTimer(id, entry) {
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = setTimeout(() => this._set(id, 'idle'), this.idleAfter);
+  }
+}
+
+export default StatusTracker;
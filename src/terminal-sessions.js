@@ -0,0 +1,88 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+
+// Longest display name kept for an attached client
+const NAME_MAX_LENGTH = 50;
+
+/**
+ * Who is attached to each instance's terminal. One connection per instance is the
+ * controller: only its input and resizes reach the PTY, the others are read-only viewers.
+ * The first connection gets control, a viewer can take it, and when the controller
+ * leaves the viewer attached the longest takes over.
+ * Emits 'change' (instanceId) on `events` when an instance's attachments or roles change.
+ */
+class TerminalSessions {
+  constructor() {
+    this.sessions = new Map();           // Instance id -> clients, in attach order
+    this.events = new EventEmitter();
+    // One listener per connected terminal WebSocket
+    this.events.setMaxListeners(0);
+  }
+
+  attach(instanceId, name) {
+    const clients = this.sessions.get(instanceId) || [];
+    const client = {
+      id: randomUUID(),
+      name: normalizeName(name),
+      role: clients.some((c) => c.role === 'controller') ? 'viewer' : 'controller',
+      attachedAt: new Date().toISOString(),
+    };
+    this.sessions.set(instanceId, [...clients, client]);
+    this.events.emit('change', instanceId);
+    return client;
+  }
+
+  detach(instanceId, clientId) {
+    const clients = (this.sessions.get(instanceId) || []).filter((c) => c.id !== clientId);
+    if (clients.length === 0) {
+      this.sessions.delete(instanceId);
+    } else {
+      if (!clients.some((c) => c.role === 'controller')) {
+        clients[0].role = 'controller';
+      }
+      this.sessions.set(instanceId, clients);
+    }
+    this.events.emit('change', instanceId);
+  }
+
+  takeControl(instanceId, clientId) {
+    const clients = this._getClients(instanceId);
+    if (!clients.some((c) => c.id === clientId)) {
+      throw new Error(`Client ${clientId} not attached to instance ${instanceId}`);
+    }
+    clients.forEach((c) => {
+      c.role = c.id === clientId ? 'controller' : 'viewer';
+    });
+    this.events.emit('change', instanceId);
+  }
+
+  rename(instanceId, clientId, name) {
+    const client = this._getClients(instanceId).find((c) => c.id === clientId);
+    if (!client) {
+      throw new Error(`Client ${clientId} not attached to instance ${instanceId}`);
+    }
+    client.name = normalizeName(name);
+    this.events.emit('change', instanceId);
+  }
+
+  isController(instanceId, clientId) {
+    return this._getClients(instanceId).some((c) => c.id === clientId && c.role === 'controller');
+  }
+
+  /**
+   * Attached clients of an instance: { id, name, role, attachedAt }
+   */
+  list(instanceId) {
+    return this._getClients(instanceId).map((c) => ({ ...c }));
+  }
+
+  _getClients(instanceId) {
+    return this.sessions.get(instanceId) || [];
+  }
+}
+
+function normalizeName(name) {
+  return (typeof name === 'string' && name.trim().slice(0, NAME_MAX_LENGTH)) || 'Anonyme';
+}
+
+export default TerminalSessions;
@@ -0,0 +1,216 @@
+import { EventEmitter } from 'events';
+import { open, stat } from 'fs/promises';
+import { join } from 'path';
+import config from './config.js';
+import { readJson, writeJson } from './json-store.js';
+import { getSessionFile } from './claude-sessions.js';
+
+const USAGE_FILE = join(config.dataDir, 'token-usage.json');
+// Bytes of a session log read per check, so a long resumed session is caught up over a few checks
+const READ_LIMIT = 16 * 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Token counts and estimated cost of Claude instances, read from the session log each one
+ * appends to (~/.claude/projects/.../<sessionId>.jsonl). An instance's totals cover its whole
+ * session, including what was logged before a resume; only what is logged while an instance
+ * runs is added to its project's daily totals. Read offsets survive a server restart.
+ * Totals: { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, costUsd }.
+ * Emits 'change' (id, totals) on `events`.
+ */
+class TokenUsageTracker {
+  constructor(ptyManager, { interval = config.tokenUsage.interval, filePath = USAGE_FILE } = {}) {
+    this.ptyManager = ptyManager;
+    this.filePath = filePath;
+    const saved = readJson(filePath, {});
+    this.sessions = saved.sessions || {};   // Session file -> { offset, totals }
+    this.projects = saved.projects || {};   // Project path -> { 'YYYY-MM-DD': totals }
+    this.counted = new Map();               // Session file -> Map(message id -> usage already counted)
+    this.files = new Map();                 // Instance id -> its session file
+    this.reading = null;
+    this.events = new EventEmitter();
+
+    ptyManager.events.on('closed', (id) => {
+      this.counted.delete(this.files.get(id));
+      this.files.delete(id);
+    });
+
+    this.timer = setInterval(() => this.check(), interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Totals of an instance's session, or null before its first reply (and for shells)
+   */
+  get(id) {
+    const instance = this.ptyManager.get(id);
+    if (!instance?.sessionId) return null;
+    return this.sessions[getSessionFile(instance.cwd, instance.sessionId)]?.totals || null;
+  }
+
+  /**
+   * Daily totals of each project over the last `days` days (today included), costliest first:
+   * [{ cwd, name, total, days: [{ date, ...totals }] }], days newest first
+   */
+  report({ days = 30 } = {}) {
+    const since = toDateKey(new Date(Date.now() - (days - 1) * DAY));
+
+    return Object.entries(this.projects)
+      .map(([cwd, byDay]) => {
+        const entries = Object.entries(byDay)
+          .filter(([date]) => date >= since)
+          .sort(([a], [b]) => b.localeCompare(a))
+          .map(([date, totals]) => ({ date, ...totals }));
+        const total = emptyTotals();
+        entries.forEach((entry) => addTotals(total, entry));
+        return { cwd, name: cwd.split(/[/\\]/).pop() || cwd, total, days: entries };
+      })
+      .filter((project) => project.days.length > 0)
+      .sort((a, b) => b.total.costUsd - a.total.costUsd);
+  }
+
+  // Read what running instances logged since the last check; concurrent callers share it
+  check() {
+    if (!this.reading) {
+      this.reading = this._check()
+        .catch((error) => console.error('Token usage update failed:', error.message))
+        .finally(() => { this.reading = null; });
+    }
+    return this.reading;
+  }
+
+  async _check() {
+    let changed = false;
+    for (const instance of this.ptyManager.list()) {
+      if (instance.type !== 'claude' || !instance.sessionId) continue;
+      if (await this._read(instance)) {
+        changed = true;
+        this.events.emit('change', instance.id, this.get(instance.id));
+      }
+    }
+    if (changed) this._save();
+  }
+
+  async _read(instance) {
+    const file = getSessionFile(instance.cwd, instance.sessionId);
+    this.files.set(instance.id, file);
+
+    let size;
+    try {
+      ({ size } = await stat(file));
+    } catch {
+      return false;                      // Nothing sent yet
+    }
+    const session = this.sessions[file] || { offset: 0, totals: emptyTotals() };
+    this.sessions[file] = session;
+    if (size <= session.offset) return false;
+
+    const length = Math.min(size - session.offset, READ_LIMIT);
+    const buffer = Buffer.alloc(length);
+    const handle = await open(file, 'r');
+    try {
+      await handle.read(buffer, 0, length, session.offset);
+    } finally {
+      await handle.close();
+    }
+
+    // Only whole lines: the last one may still be being written
+    const end = buffer.lastIndexOf(0x0a);
+    if (end === -1) {
+      // A line longer than the read limit can't be usage we would count
+      if (length === READ_LIMIT) session.offset += length;
+      return false;
+    }
+    session.offset += end + 1;
+
+    if (!this.counted.has(file)) this.counted.set(file, new Map());
+    const counted = this.counted.get(file);
+    const since = Date.parse(instance.createdAt);
+    let changed = false;
+
+    for (const line of buffer.toString('utf-8', 0, end).split('\n')) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (entry.type !== 'assistant' || !entry.message?.usage) continue;
+
+      // A reply is logged once per content block, each line repeating its usage
+      const usage = toTotals(entry.message.usage, entry.message.model);
+      const id = entry.message.id;
+      const delta = id && counted.has(id) ? subtractTotals(usage, counted.get(id)) : usage;
+      if (id) counted.set(id, usage);
+      if (delta.inputTokens + delta.outputTokens + delta.cacheReadTokens + delta.cacheWriteTokens === 0) continue;
+
+      addTotals(session.totals, delta);
+      const timestamp = entry.timestamp ? new Date(entry.timestamp) : new Date();
+      if (timestamp.getTime() >= since) {
+        const days = this.projects[instance.cwd] || {};
+        this.projects[instance.cwd] = days;
+        const date = toDateKey(timestamp);
+        days[date] = addTotals(days[date] || emptyTotals(), delta);
+      }
+      changed = true;
+    }
+    return changed;
+  }
+
+  _save() {
+    writeJson(this.filePath, { sessions: this.sessions, projects: this.projects });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+}
+
+function emptyTotals() {
+  return { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, costUsd: 0 };
+}
+
+function addTotals(totals, delta) {
+  for (const key of Object.keys(totals)) {
+    totals[key] += delta[key] || 0;
+  }
+  return totals;
+}
+
+function subtractTotals(totals, previous) {
+  const delta = {};
+  for (const key of Object.keys(totals)) {
+    delta[key] = Math.max(0, totals[key] - previous[key]);
+  }
+  return delta;
+}
+
+// Usage of one API response, priced by the first config.tokenUsage.pricing entry its model contains
+function toTotals(usage, model = '') {
+  const totals = {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+    costUsd: 0,
+  };
+  const price = Object.entries(config.tokenUsage.pricing).find(([name]) => model.includes(name))?.[1];
+  if (price) {
+    totals.costUsd = (totals.inputTokens * price.input
+      + totals.outputTokens * price.output
+      + totals.cacheReadTokens * price.cacheRead
+      + totals.cacheWriteTokens * price.cacheWrite) / 1e6;
+  }
+  return totals;
+}
+
+// Day in server local time, e.g. 2025-01-31
+function toDateKey(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+}
+
+export default TokenUsageTracker;
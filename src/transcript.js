@@ -0,0 +1,96 @@
+import { ansiToText, ansiToHtml, DEFAULT_FOREGROUND, DEFAULT_BACKGROUND } from './ansi.js';
+
+export const TRANSCRIPT_FORMATS = {
+  md: 'text/markdown',
+  html: 'text/html',
+  txt: 'text/plain',
+};
+
+function getTitle(info) {
+  return info.name || info.cwd.split(/[/\\]/).pop() || info.cwd;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// Instance details printed above the transcript
+function getMetadata(info, exportedAt) {
+  return [
+    ['Dossier', info.cwd],
+    ['Type', info.type === 'shell' ? 'Terminal' : 'Claude'],
+    info.sessionId && ['Session', info.sessionId],
+    info.note && ['Note', info.note],
+    ['Démarrée le', new Date(info.createdAt).toLocaleString('fr-FR')],
+    ['Exportée le', exportedAt.toLocaleString('fr-FR')],
+  ].filter(Boolean);
+}
+
+/**
+ * File name for a transcript download, e.g. `my-project-2025-01-31-1405.md`
+ */
+export function getTranscriptFileName(info, format, exportedAt = new Date()) {
+  const slug = getTitle(info).replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'transcript';
+  const date = exportedAt.toISOString().slice(0, 16).replace('T', '-').replace(':', '');
+  return `${slug}-${date}.${format}`;
+}
+
+/**
+ * Render an instance's buffered output as a Markdown, HTML or plain text document
+ */
+export function renderTranscript(info, output, format, { rows, cols, exportedAt = new Date() } = {}) {
+  const title = getTitle(info);
+  const metadata = getMetadata(info, exportedAt);
+
+  if (format === 'html') {
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { margin: 0; padding: 1.5rem; background: ${DEFAULT_BACKGROUND}; color: ${DEFAULT_FOREGROUND}; font-family: system-ui, sans-serif; }
+  h1 { font-size: 1.25rem; margin: 0 0 0.75rem; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 0 0 1.5rem; font-size: 0.85rem; }
+  dt { color: #a6adc8; }
+  dd { margin: 0; white-space: pre-wrap; }
+  pre { margin: 0; font-family: Consolas, "Courier New", monospace; font-size: 13px; line-height: 1.3; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<dl>
+${metadata.map(([label, value]) => `  <dt>${label}</dt><dd>${escapeHtml(value)}</dd>`).join('\n')}
+</dl>
+<pre>${ansiToHtml(output, { rows, cols })}</pre>
+</body>
+</html>
+`;
+  }
+
+  const text = ansiToText(output, { rows, cols });
+
+  if (format === 'md') {
+    // A fence longer than any backtick run in the output
+    const longestRun = (text.match(/`+/g) || []).reduce((longest, run) => Math.max(longest, run.length), 0);
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return [
+      `# ${title}`,
+      '',
+      ...metadata.map(([label, value]) => `- **${label}** : ${value.replace(/\n/g, ' ')}`),
+      '',
+      `${fence}text`,
+      text,
+      fence,
+      '',
+    ].join('\n');
+  }
+
+  return [
+    title,
+    ...metadata.map(([label, value]) => `${label} : ${value.replace(/\n/g, ' ')}`),
+    '',
+    text,
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import LaunchQueue from '../src/launch-queue.js';
+
+// Instances that start right away, exit and restart on demand, like PtyHostClient reports them
+class FakePtyManager {
+  constructor() {
+    this.instances = new Map();
+    this.events = new EventEmitter();
+    this.created = 0;
+  }
+
+  async create(cwd) {
+    const info = { id: `instance-${++this.created}`, cwd, type: 'claude', status: 'active', createdAt: new Date().toISOString() };
+    this.instances.set(info.id, info);
+    this.events.emit('created', info);
+    return info;
+  }
+
+  list() {
+    return Array.from(this.instances.values());
+  }
+
+  exit(id, requested) {
+    this.instances.get(id).status = 'exited';
+    this.events.emit('exit', id, 0, requested);
+  }
+
+  restart(id) {
+    this.exit(id, true);
+    this.instances.get(id).status = 'active';
+    this.events.emit('respawned', this.instances.get(id));
+  }
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+test('a restart keeps its slot while launches are queued', async () => {
+  const ptyManager = new FakePtyManager();
+  const queue = new LaunchQueue(ptyManager, { maxInstances: 1 });
+
+  const { instance } = await queue.launch('/project', 'claude');
+  const { queued } = await queue.launch('/other', 'claude');
+  assert.ok(queued);
+
+  ptyManager.restart(instance.id);
+  await flush();
+
+  assert.equal(ptyManager.created, 1);
+  assert.equal(queue.getState().running, 1);
+  assert.deepEqual(queue.getState().queue.map((entry) => entry.id), [queued.id]);
+});
+
+test('a crash frees its slot for the next queued launch', async () => {
+  const ptyManager = new FakePtyManager();
+  const queue = new LaunchQueue(ptyManager, { maxInstances: 1 });
+
+  const { instance } = await queue.launch('/project', 'claude');
+  await queue.launch('/other', 'claude');
+
+  ptyManager.exit(instance.id, false);
+  await flush();
+
+  assert.equal(ptyManager.created, 2);
+  assert.equal(queue.getState().queue.length, 0);
+});